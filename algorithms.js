@@ -1,8 +1,12 @@
 /* * -----------------------------------------------------------------
  * algorithms.js
  * -----------------------------------------------------------------
- * This file holds the pure logic for the FIFO, LRU, and
- * Optimal page replacement algorithms.
+ * This file holds the pure logic for the FIFO, LRU, Optimal,
+ * Clock (Second-Chance), Enhanced Second-Chance, LFU and MFU
+ * page replacement algorithms, for the ARC, 2Q and LRU-K cache
+ * policies, which keep lists of pages beyond the frames, and for
+ * the Working Set and Page-Fault Frequency policies, whose frame
+ * count varies.
  * -----------------------------------------------------------------
  */
 
@@ -13,6 +17,8 @@
  * @returns {object} The new state after this step.
  */
 export function fifoStep(state, currentPage) {
+    const time = state.pageIndex;
+
     // Check for Page Hit
     if (state.frames.includes(currentPage)) {
         state.stats.pageHits++;
@@ -29,9 +35,13 @@ export function fifoStep(state, currentPage) {
         // Find victim frame using the FIFO pointer
         const victimIndex = state.fifoPointer;
         const victimPage = state.frames[victimIndex];
+        // The pointer always rests on the page loaded first
+        const reasoning = victimPage === null ? null :
+            explainChoice(state, 'loadedAt', (i) => state.loadTimes[i] + 1, victimIndex);
         
         // Replace the page
         state.frames[victimIndex] = currentPage;
+        state.loadTimes[victimIndex] = time;
         
         // Move the FIFO pointer
         state.fifoPointer = (state.fifoPointer + 1) % state.frames.length;
@@ -42,6 +52,7 @@ export function fifoStep(state, currentPage) {
             replaced: victimPage, // Will be null if frame was empty
             replacedFrameIndex: victimIndex
         };
+        if (reasoning) state.lastEvent.reasoning = reasoning;
     }
     return state;
 }
@@ -53,6 +64,8 @@ export function fifoStep(state, currentPage) {
  * @returns {object} The new state after this step.
  */
 export function lruStep(state, currentPage) {
+    const time = state.pageIndex;
+
     // 1.Update LRU Queue (used for both hit and fault)
     // Remove if it exists
     const existingIndex = state.lruQueue.indexOf(currentPage);
@@ -65,6 +78,7 @@ export function lruStep(state, currentPage) {
     // 2.Check for Page Hit
     if (state.frames.includes(currentPage)) {
         state.stats.pageHits++;
+        state.lastUseTimes[state.frames.indexOf(currentPage)] = time;
         state.lastEvent = {
             type: 'HIT',
             page: currentPage,
@@ -77,6 +91,7 @@ export function lruStep(state, currentPage) {
         
         let victimPage = null;
         let victimIndex = -1;
+        let reasoning = null;
 
         // Check if frames are full
         if (state.frames.includes(null)) {
@@ -95,6 +110,7 @@ export function lruStep(state, currentPage) {
             
             // Find the frame index of the victim page
             victimIndex = state.frames.indexOf(victimPage);
+            reasoning = explainChoice(state, 'sinceUse', (i) => time - state.lastUseTimes[i], victimIndex);
             
             // Remove the victim page from the LRU queue since it's no longer in memory
             const lruVictimIndex = state.lruQueue.indexOf(victimPage);
@@ -105,6 +121,7 @@ export function lruStep(state, currentPage) {
         
         // Replace the page
         state.frames[victimIndex] = currentPage;
+        state.lastUseTimes[victimIndex] = time;
         
         state.lastEvent = {
             type: 'FAULT',
@@ -112,6 +129,7 @@ export function lruStep(state, currentPage) {
             replaced: victimPage,
             replacedFrameIndex: victimIndex
         };
+        if (reasoning) state.lastEvent.reasoning = reasoning;
     }
     return state;
 }
@@ -139,6 +157,7 @@ export function optimalStep(state, currentPage, futureString) {
         
         let victimPage = null;
         let victimIndex = -1;
+        let reasoning = null;
 
         // Check if frames are full
         if (state.frames.includes(null)) {
@@ -169,11 +188,250 @@ export function optimalStep(state, currentPage, futureString) {
                     }
                 }
             }
+            // Distance to the next use of every page (null: never used again)
+            reasoning = explainChoice(state, 'nextUse', (i) => {
+                const next = futureString.indexOf(state.frames[i]);
+                return next === -1 ? null : next + 1;
+            }, victimIndex);
         }
         
         // 4.Replace the page
         state.frames[victimIndex] = currentPage;
         
+        state.lastEvent = {
+            type: 'FAULT',
+            page: currentPage,
+            replaced: victimPage,
+            replacedFrameIndex: victimIndex
+        };
+        if (reasoning) state.lastEvent.reasoning = reasoning;
+    }
+    return state;
+}
+
+/**
+ * Records the value the policy weighed for every resident page when it
+ * had to pick a victim, for the "Explain this step" overlay.
+ * @param {object} state - The state before the victim is replaced.
+ * @param {string} metric - 'nextUse' (OPT: references until the page is used again),
+ *                          'sinceUse' (LRU: references since it was last used) or
+ *                          'loadedAt' (FIFO: the step that loaded it).
+ * @param {function} valueOf - Returns the value for a frame index (null for "never").
+ * @param {number} victimIndex - The frame the policy chose.
+ * @returns {{metric:string,victimFrameIndex:number,candidates:{frame:number,page:number,value:number|null}[]}}
+ */
+function explainChoice(state, metric, valueOf, victimIndex) {
+    return {
+        metric: metric,
+        victimFrameIndex: victimIndex,
+        candidates: state.frames.map((page, i) => ({frame: i, page: page, value: valueOf(i)}))
+    };
+}
+
+
+/**
+ * Performs one step of the Clock (Second-Chance) algorithm.
+ * Each frame has a reference bit. On a fault the hand sweeps
+ * around the frames, clearing set bits, and replaces the first
+ * page whose bit is already clear.
+ * @param {object} state - A deep copy of the current simulation state.
+ * @param {number} currentPage - The page to be processed.
+ * @returns {object} The new state after this step.
+ */
+export function clockStep(state, currentPage) {
+    const numFrames = state.frames.length;
+    const hitIndex = state.frames.indexOf(currentPage);
+
+    // 1.Check for Page Hit
+    if (hitIndex > -1) {
+        state.stats.pageHits++;
+        // Give the page a second chance
+        state.refBits[hitIndex] = 1;
+        state.lastEvent = {
+            type: 'HIT',
+            page: currentPage,
+            replaced: null,
+            replacedFrameIndex: -1
+        };
+    } else {
+        // 2.Page Fault
+        state.stats.pageFaults++;
+
+        // Advance the hand past every page that still has its reference bit set,
+        // clearing the bit as we go. An empty frame is taken immediately.
+        while (state.frames[state.clockHand] !== null && state.refBits[state.clockHand] === 1) {
+            state.refBits[state.clockHand] = 0;
+            state.clockHand = (state.clockHand + 1) % numFrames;
+        }
+
+        const victimIndex = state.clockHand;
+        const victimPage = state.frames[victimIndex];
+
+        // 3.Replace the page (a newly loaded page counts as referenced)
+        state.frames[victimIndex] = currentPage;
+        state.refBits[victimIndex] = 1;
+
+        // Move the hand past the frame we just filled
+        state.clockHand = (victimIndex + 1) % numFrames;
+
+        state.lastEvent = {
+            type: 'FAULT',
+            page: currentPage,
+            replaced: victimPage,
+            replacedFrameIndex: victimIndex
+        };
+    }
+    return state;
+}
+
+/**
+ * Performs one step of the Enhanced Second-Chance algorithm.
+ * Frames are ranked by their (reference, modified) bit pair:
+ * (0,0) is the best victim, then (0,1), (1,0) and (1,1).
+ * @param {object} state - A deep copy of the current simulation state.
+ * @param {number} currentPage - The page to be processed.
+ * @returns {object} The new state after this step.
+ */
+export function enhancedClockStep(state, currentPage) {
+    const numFrames = state.frames.length;
+    const hitIndex = state.frames.indexOf(currentPage);
+
+    // 1.Check for Page Hit
+    if (hitIndex > -1) {
+        state.stats.pageHits++;
+        state.refBits[hitIndex] = 1;
+        state.lastEvent = {
+            type: 'HIT',
+            page: currentPage,
+            replaced: null,
+            replacedFrameIndex: -1
+        };
+    } else {
+        // 2.Page Fault
+        state.stats.pageFaults++;
+
+        let victimIndex = -1;
+
+        // Empty frames are filled first, starting from the hand
+        for (let i = 0; i < numFrames && victimIndex === -1; i++) {
+            const index = (state.clockHand + i) % numFrames;
+            if (state.frames[index] === null) victimIndex = index;
+        }
+
+        // 3.Frames are full, sweep for the lowest (reference, modified) class
+        while (victimIndex === -1) {
+            // First pass: look for (0,0) without changing any bits
+            for (let i = 0; i < numFrames; i++) {
+                const index = (state.clockHand + i) % numFrames;
+                if (state.refBits[index] === 0 && state.modBits[index] === 0) {
+                    victimIndex = index;
+                    break;
+                }
+            }
+            if (victimIndex > -1) break;
+
+            // Second pass: look for (0,1), clearing reference bits as the hand passes
+            for (let i = 0; i < numFrames; i++) {
+                const index = (state.clockHand + i) % numFrames;
+                if (state.refBits[index] === 0 && state.modBits[index] === 1) {
+                    victimIndex = index;
+                    break;
+                }
+                state.refBits[index] = 0;
+            }
+        }
+
+        const victimPage = state.frames[victimIndex];
+
+        // 4.Replace the page
+        state.frames[victimIndex] = currentPage;
+        state.refBits[victimIndex] = 1;
+        state.clockHand = (victimIndex + 1) % numFrames;
+
+        state.lastEvent = {
+            type: 'FAULT',
+            page: currentPage,
+            replaced: victimPage,
+            replacedFrameIndex: victimIndex
+        };
+    }
+    return state;
+}
+
+/**
+ * Performs one step of the LFU (Least Frequently Used) algorithm.
+ * @param {object} state - A deep copy of the current simulation state.
+ * @param {number} currentPage - The page to be processed.
+ * @param {string} tieBreaker - How to pick between equal counts ('fifo', 'lru', 'index').
+ * @returns {object} The new state after this step.
+ */
+export function lfuStep(state, currentPage, tieBreaker) {
+    return frequencyStep(state, currentPage, tieBreaker, (count, best) => count < best);
+}
+
+/**
+ * Performs one step of the MFU (Most Frequently Used) algorithm.
+ * @param {object} state - A deep copy of the current simulation state.
+ * @param {number} currentPage - The page to be processed.
+ * @param {string} tieBreaker - How to pick between equal counts ('fifo', 'lru', 'index').
+ * @returns {object} The new state after this step.
+ */
+export function mfuStep(state, currentPage, tieBreaker) {
+    return frequencyStep(state, currentPage, tieBreaker, (count, best) => count > best);
+}
+
+/**
+ * Shared logic for LFU and MFU. Reference counts are kept per
+ * resident page and start again from 1 when a page is reloaded.
+ * @param {object} state - A deep copy of the current simulation state.
+ * @param {number} currentPage - The page to be processed.
+ * @param {string} tieBreaker - 'fifo' (loaded first), 'lru' (used least recently) or 'index' (lowest frame).
+ * @param {function} isBetter - Returns true if a count beats the best count found so far.
+ * @returns {object} The new state after this step.
+ */
+function frequencyStep(state, currentPage, tieBreaker, isBetter) {
+    const time = state.pageIndex;
+    const hitIndex = state.frames.indexOf(currentPage);
+
+    // 1.Check for Page Hit
+    if (hitIndex > -1) {
+        state.stats.pageHits++;
+        state.refCounts[currentPage]++;
+        state.lastUseTimes[hitIndex] = time;
+        state.lastEvent = {
+            type: 'HIT',
+            page: currentPage,
+            replaced: null,
+            replacedFrameIndex: -1
+        };
+    } else {
+        // 2.Page Fault
+        state.stats.pageFaults++;
+
+        let victimPage = null;
+        let victimIndex = state.frames.indexOf(null);
+
+        if (victimIndex === -1) {
+            // 3.Frames are full, find the page with the best count
+            victimIndex = 0;
+            for (let i = 1; i < state.frames.length; i++) {
+                const count = state.refCounts[state.frames[i]];
+                const best = state.refCounts[state.frames[victimIndex]];
+                if (isBetter(count, best) ||
+                    (count === best && breaksTie(state, i, victimIndex, tieBreaker))) {
+                    victimIndex = i;
+                }
+            }
+            victimPage = state.frames[victimIndex];
+            delete state.refCounts[victimPage];
+        }
+
+        // 4.Replace the page
+        state.frames[victimIndex] = currentPage;
+        state.refCounts[currentPage] = 1;
+        state.loadTimes[victimIndex] = time;
+        state.lastUseTimes[victimIndex] = time;
+
         state.lastEvent = {
             type: 'FAULT',
             page: currentPage,
@@ -184,3 +442,496 @@ export function optimalStep(state, currentPage, futureString) {
     return state;
 }
 
+/**
+ * Decides whether frame 'candidate' should replace frame 'current'
+ * as the victim when both pages have the same reference count.
+ * @param {object} state - The simulation state.
+ * @param {number} candidate - Frame index being considered.
+ * @param {number} current - Frame index of the victim found so far.
+ * @param {string} tieBreaker - 'fifo', 'lru' or 'index'.
+ * @returns {boolean} True if the candidate wins the tie.
+ */
+function breaksTie(state, candidate, current, tieBreaker) {
+    switch (tieBreaker) {
+        case 'lru':
+            return state.lastUseTimes[candidate] < state.lastUseTimes[current];
+        case 'index':
+            // Frames are scanned in order, so the lowest index is already held
+            return false;
+        case 'fifo':
+        default:
+            return state.loadTimes[candidate] < state.loadTimes[current];
+    }
+}
+
+/**
+ * Performs one step of ARC (Adaptive Replacement Cache, Megiddo and
+ * Modha). T1 holds resident pages seen once recently and T2 pages seen
+ * at least twice; the ghost lists B1 and B2 remember (without their
+ * contents) pages recently evicted from each. A fault on a page in B1
+ * means T1 was too small, so its target size p grows; one in B2 shrinks
+ * it. To make room ARC evicts from T1 while T1 is larger than p,
+ * otherwise from T2. All four lists are kept LRU end first.
+ * @param {object} state - A deep copy of the current simulation state.
+ * @param {number} currentPage - The page to be processed.
+ * @returns {object} The new state after this step.
+ */
+export function arcStep(state, currentPage) {
+    const arc = state.arc;
+    const size = state.frames.length;
+    const hitIndex = state.frames.indexOf(currentPage);
+
+    // 1.Check for Page Hit: the page moves to the MRU end of T2
+    if (hitIndex > -1) {
+        state.stats.pageHits++;
+        if (!removeFrom(arc.t1, currentPage)) removeFrom(arc.t2, currentPage);
+        arc.t2.push(currentPage);
+        state.lastEvent = {
+            type: 'HIT',
+            page: currentPage,
+            replaced: null,
+            replacedFrameIndex: -1
+        };
+        return state;
+    }
+
+    // 2.Page Fault
+    state.stats.pageFaults++;
+    const target = arc.p;
+    let ghost = null;
+    let victimPage = null;
+
+    if (arc.b1.includes(currentPage)) {
+        // 3a.Ghost hit in B1: favour recency
+        ghost = 'B1';
+        arc.p = Math.min(size, arc.p + Math.max(arc.b2.length / arc.b1.length, 1));
+        victimPage = arcReplace(arc, false);
+        removeFrom(arc.b1, currentPage);
+        arc.t2.push(currentPage);
+    } else if (arc.b2.includes(currentPage)) {
+        // 3b.Ghost hit in B2: favour frequency
+        ghost = 'B2';
+        arc.p = Math.max(0, arc.p - Math.max(arc.b1.length / arc.b2.length, 1));
+        victimPage = arcReplace(arc, true);
+        removeFrom(arc.b2, currentPage);
+        arc.t2.push(currentPage);
+    } else {
+        // 3c.A new page: keep |T1| + |B1| ≤ c and all four lists ≤ 2c
+        const recent = arc.t1.length + arc.b1.length;
+        const total = recent + arc.t2.length + arc.b2.length;
+        if (recent === size) {
+            if (arc.t1.length < size) {
+                arc.b1.shift();
+                victimPage = arcReplace(arc, false);
+            } else {
+                // B1 is empty, so the page leaves without a ghost
+                victimPage = arc.t1.shift();
+            }
+        } else if (total >= size) {
+            if (total === 2 * size) arc.b2.shift();
+            victimPage = arcReplace(arc, false);
+        }
+        arc.t1.push(currentPage);
+    }
+
+    // 4.Replace the page (an empty frame while memory fills up)
+    const victimIndex = victimPage === null ? state.frames.indexOf(null) : state.frames.indexOf(victimPage);
+    state.frames[victimIndex] = currentPage;
+
+    state.lastEvent = {
+        type: 'FAULT',
+        page: currentPage,
+        replaced: victimPage,
+        replacedFrameIndex: victimIndex
+    };
+    if (ghost) state.lastEvent.adapted = { ghost: ghost, from: target, to: arc.p };
+    return state;
+}
+
+/**
+ * ARC's REPLACE: evicts the LRU page of T1 into B1 if T1 is over its
+ * target (or exactly at it when the page came from B2), otherwise the
+ * LRU page of T2 into B2.
+ * @param {object} arc - The ARC lists and target (state.arc).
+ * @param {boolean} fromB2 - True if the faulting page is in B2.
+ * @returns {number} The evicted page.
+ */
+function arcReplace(arc, fromB2) {
+    if (arc.t1.length > 0 &&
+        (arc.t2.length === 0 || arc.t1.length > arc.p || (fromB2 && arc.t1.length === arc.p))) {
+        const page = arc.t1.shift();
+        arc.b1.push(page);
+        return page;
+    }
+    const page = arc.t2.shift();
+    arc.b2.push(page);
+    return page;
+}
+
+/**
+ * Performs one step of 2Q (Johnson and Shasha, full version). A page
+ * seen for the first time enters A1in, a FIFO queue; a hit there does
+ * not move it. Pages pushed out of A1in are remembered in the ghost
+ * queue A1out, and only a page faulted on again while in A1out is
+ * promoted to Am, an LRU list. Evictions come from A1in while it is
+ * over its share Kin, otherwise from Am. Kin is a quarter of the
+ * frames and A1out holds half as many pages as there are frames, the
+ * sizes the paper recommends.
+ * @param {object} state - A deep copy of the current simulation state.
+ * @param {number} currentPage - The page to be processed.
+ * @returns {object} The new state after this step.
+ */
+export function twoQueueStep(state, currentPage) {
+    const queues = state.twoQueue;
+    const { kin, kout } = twoQueueSizes(state.frames.length);
+    const hitIndex = state.frames.indexOf(currentPage);
+
+    // 1.Check for Page Hit: only a page in Am moves (to its MRU end)
+    if (hitIndex > -1) {
+        state.stats.pageHits++;
+        if (removeFrom(queues.am, currentPage)) queues.am.push(currentPage);
+        state.lastEvent = {
+            type: 'HIT',
+            page: currentPage,
+            replaced: null,
+            replacedFrameIndex: -1
+        };
+        return state;
+    }
+
+    // 2.Page Fault: a page remembered in A1out has been used twice
+    state.stats.pageFaults++;
+    const promoted = removeFrom(queues.a1out, currentPage);
+    let victimPage = null;
+    let victimIndex = state.frames.indexOf(null);
+
+    if (victimIndex === -1) {
+        // 3.Frames are full: reclaim from A1in while it is over Kin
+        if (queues.a1in.length > kin || queues.am.length === 0) {
+            victimPage = queues.a1in.shift();
+            queues.a1out.push(victimPage);
+            if (queues.a1out.length > kout) queues.a1out.shift();
+        } else {
+            victimPage = queues.am.shift();
+        }
+        victimIndex = state.frames.indexOf(victimPage);
+    }
+
+    // 4.Replace the page
+    state.frames[victimIndex] = currentPage;
+    if (promoted) queues.am.push(currentPage);
+    else queues.a1in.push(currentPage);
+
+    state.lastEvent = {
+        type: 'FAULT',
+        page: currentPage,
+        replaced: victimPage,
+        replacedFrameIndex: victimIndex,
+        promoted: promoted
+    };
+    return state;
+}
+
+/**
+ * Sizes of the 2Q queues for a number of frames.
+ * @param {number} numFrames - The number of physical memory frames.
+ * @returns {{kin:number,kout:number}} Kin (A1in's share of the frames) and Kout (A1out's length).
+ */
+export function twoQueueSizes(numFrames) {
+    return {
+        kin: Math.max(1, Math.round(numFrames / 4)),
+        kout: Math.max(1, Math.round(numFrames / 2))
+    };
+}
+
+/**
+ * Performs one step of LRU-K (O'Neil, O'Neil and Weikum). The times of
+ * the last K references to every page are kept, also after the page is
+ * evicted. The victim is the resident page whose K-th most recent
+ * reference is oldest (the largest backward K-distance); pages with
+ * fewer than K references count as infinitely distant and go first,
+ * the least recently used of them first. LRU-1 is plain LRU.
+ * @param {object} state - A deep copy of the current simulation state.
+ * @param {number} currentPage - The page to be processed.
+ * @param {number} k - How many references back to look.
+ * @returns {object} The new state after this step.
+ */
+export function lruKStep(state, currentPage, k) {
+    const time = state.pageIndex;
+    const hitIndex = state.frames.indexOf(currentPage);
+
+    // 1.Record the reference in the page's history
+    const uses = state.history[currentPage] || [];
+    uses.push(time);
+    if (uses.length > k) uses.shift();
+    state.history[currentPage] = uses;
+
+    // 2.Check for Page Hit
+    if (hitIndex > -1) {
+        state.stats.pageHits++;
+        state.lastUseTimes[hitIndex] = time;
+        state.lastEvent = {
+            type: 'HIT',
+            page: currentPage,
+            replaced: null,
+            replacedFrameIndex: -1
+        };
+        return state;
+    }
+
+    // 3.Page Fault
+    state.stats.pageFaults++;
+    let victimPage = null;
+    let victimIndex = state.frames.indexOf(null);
+
+    if (victimIndex === -1) {
+        // 4.Frames are full: find the largest backward K-distance
+        let victimDistance = -1;
+        state.frames.forEach((page, i) => {
+            const distance = kDistance(state.history[page], k, time);
+            if (distance > victimDistance ||
+                (distance === victimDistance && state.lastUseTimes[i] < state.lastUseTimes[victimIndex])) {
+                victimIndex = i;
+                victimDistance = distance;
+            }
+        });
+        victimPage = state.frames[victimIndex];
+    }
+
+    // 5.Replace the page
+    state.frames[victimIndex] = currentPage;
+    state.loadTimes[victimIndex] = time;
+    state.lastUseTimes[victimIndex] = time;
+
+    state.lastEvent = {
+        type: 'FAULT',
+        page: currentPage,
+        replaced: victimPage,
+        replacedFrameIndex: victimIndex
+    };
+    return state;
+}
+
+/**
+ * The backward K-distance of a page: references since its K-th most recent use.
+ * @param {number[]} uses - The times of its last (up to K) references, oldest first.
+ * @param {number} k - How many references back to look.
+ * @param {number} time - The current step.
+ * @returns {number} The distance, or Infinity if it has fewer than K references.
+ */
+export function kDistance(uses, k, time) {
+    return uses && uses.length >= k ? time - uses[0] : Infinity;
+}
+
+// Removes a page from a list; returns true if it was there
+function removeFrom(list, page) {
+    const index = list.indexOf(page);
+    if (index === -1) return false;
+    list.splice(index, 1);
+    return true;
+}
+
+/**
+ * Performs one step of the Working Set policy. The resident set is
+ * exactly the pages referenced in the last 'windowSize' references
+ * (the working set W(t, Δ)), so frames are added and released as it
+ * grows and shrinks. Pages never replace each other.
+ * @param {object} state - A deep copy of the current simulation state.
+ * @param {number} currentPage - The page to be processed.
+ * @param {number} windowSize - The window Δ, in references.
+ * @returns {object} The new state after this step.
+ */
+export function workingSetStep(state, currentPage, windowSize) {
+    const time = state.pageIndex;
+
+    // 1.Release pages that have left the window
+    const released = [];
+    state.frames.forEach((page, i) => {
+        if (page !== null && page !== currentPage && state.lastUseTimes[i] <= time - windowSize) {
+            released.push(releaseFrame(state, i));
+        }
+    });
+
+    // 2.Check for Page Hit, otherwise load into a free frame
+    const hitIndex = state.frames.indexOf(currentPage);
+    let loadIndex = -1;
+    if (hitIndex > -1) {
+        state.stats.pageHits++;
+        state.lastUseTimes[hitIndex] = time;
+    } else {
+        state.stats.pageFaults++;
+        loadIndex = loadIntoFreeFrame(state, currentPage, time);
+    }
+    trimFreeFrames(state);
+
+    state.lastEvent = {
+        type: hitIndex > -1 ? 'HIT' : 'FAULT',
+        page: currentPage,
+        replaced: null,
+        replacedFrameIndex: loadIndex,
+        released: released,
+        workingSet: state.frames.filter(p => p !== null).sort((a, b) => a - b)
+    };
+    return state;
+}
+
+/**
+ * Performs one step of the Page-Fault Frequency policy. On every
+ * fault the fault rate is 1 / (references since the previous fault):
+ *   above 'upper' - the process needs more memory, add a frame;
+ *   below 'lower' - release every page not used since the previous
+ *                   fault, then load into one of the freed frames;
+ *   in between    - keep the frame count and replace the LRU page.
+ * @param {object} state - A deep copy of the current simulation state.
+ * @param {number} currentPage - The page to be processed.
+ * @param {number} upper - Upper fault-rate threshold (faults per reference).
+ * @param {number} lower - Lower fault-rate threshold (faults per reference).
+ * @returns {object} The new state after this step.
+ */
+export function pffStep(state, currentPage, upper, lower) {
+    const time = state.pageIndex;
+    const hitIndex = state.frames.indexOf(currentPage);
+
+    // 1.Check for Page Hit
+    if (hitIndex > -1) {
+        state.stats.pageHits++;
+        state.lastUseTimes[hitIndex] = time;
+        state.lastEvent = {
+            type: 'HIT',
+            page: currentPage,
+            replaced: null,
+            replacedFrameIndex: -1,
+            released: []
+        };
+        return state;
+    }
+
+    // 2.Page Fault: measure the fault rate since the previous fault
+    state.stats.pageFaults++;
+    const previousFault = state.lastFaultTime;
+    const faultRate = 1 / (time - previousFault);
+    state.lastFaultTime = time;
+
+    const released = [];
+    let victimPage = null;
+    let victimIndex = -1;
+    let decision;
+    const resident = state.frames.filter(p => p !== null).length;
+
+    if (faultRate > upper || resident === 0) {
+        // 3a.Faulting too often: grow
+        decision = 'grow';
+        victimIndex = loadIntoFreeFrame(state, currentPage, time);
+    } else if (faultRate < lower) {
+        // 3b.Faulting rarely: drop pages unused since the previous fault
+        decision = 'shrink';
+        state.frames.forEach((page, i) => {
+            if (page !== null && state.lastUseTimes[i] < previousFault) {
+                released.push(releaseFrame(state, i));
+            }
+        });
+        victimIndex = loadIntoFreeFrame(state, currentPage, time);
+    } else {
+        // 3c.Rate is acceptable: replace the least recently used page
+        decision = 'keep';
+        state.frames.forEach((page, i) => {
+            if (page !== null && (victimIndex === -1 || state.lastUseTimes[i] < state.lastUseTimes[victimIndex])) {
+                victimIndex = i;
+            }
+        });
+        victimPage = state.frames[victimIndex];
+        state.frames[victimIndex] = currentPage;
+        state.loadTimes[victimIndex] = time;
+        state.lastUseTimes[victimIndex] = time;
+    }
+    trimFreeFrames(state);
+
+    state.lastEvent = {
+        type: 'FAULT',
+        page: currentPage,
+        replaced: victimPage,
+        replacedFrameIndex: victimIndex,
+        released: released,
+        faultRate: faultRate,
+        decision: decision
+    };
+    return state;
+}
+
+/**
+ * Empties a frame without loading anything into it. A dirty page
+ * is written back here, since no later step will see it.
+ * @param {object} state - The simulation state.
+ * @param {number} index - The frame to release.
+ * @returns {{page:number,frameIndex:number,writeBack:boolean}} What was released.
+ */
+function releaseFrame(state, index) {
+    const writeBack = state.modBits[index] === 1;
+    if (writeBack) state.stats.writeBacks++;
+    const page = state.frames[index];
+    state.frames[index] = null;
+    state.modBits[index] = 0;
+    return { page: page, frameIndex: index, writeBack: writeBack };
+}
+
+/**
+ * Loads a page into the first free frame, adding a frame if none is free.
+ * @param {object} state - The simulation state.
+ * @param {number} page - The page to load.
+ * @param {number} time - The current step.
+ * @returns {number} The frame the page was loaded into.
+ */
+function loadIntoFreeFrame(state, page, time) {
+    let index = state.frames.indexOf(null);
+    if (index === -1) {
+        index = state.frames.length;
+        state.frames.push(null);
+        state.refBits.push(0);
+        state.modBits.push(0);
+        state.loadTimes.push(-1);
+        state.lastUseTimes.push(-1);
+    }
+    state.frames[index] = page;
+    state.loadTimes[index] = time;
+    state.lastUseTimes[index] = time;
+    return index;
+}
+
+// Drops free frames from the end, so the frame count shrinks with the resident set.
+// A page never changes frame while resident (the TLB and page table rely on it),
+// so a frame released between others stays empty until the next load reuses it.
+function trimFreeFrames(state) {
+    while (state.frames.length > 0 && state.frames[state.frames.length - 1] === null) {
+        state.frames.pop();
+        state.refBits.pop();
+        state.modBits.pop();
+        state.loadTimes.pop();
+        state.lastUseTimes.pop();
+    }
+}
+
+/**
+ * Updates the modified (dirty) bits after any algorithm step.
+ * Runs after the step function, so the victim frame still holds
+ * the evicted page's bit: if it was dirty, that is a write-back.
+ * @param {object} state - The state returned by an algorithm step.
+ * @param {boolean} isWrite - True if the reference was a write.
+ * @returns {object} The same state, with modBits and write-back stats updated.
+ */
+export function trackModifiedBit(state, isWrite) {
+    const event = state.lastEvent;
+    event.write = isWrite;
+    event.writeBack = false;
+
+    if (event.type === 'FAULT') {
+        // Evicting a dirty page means writing it back to disk first
+        if (event.replaced !== null && state.modBits[event.replacedFrameIndex] === 1) {
+            state.stats.writeBacks++;
+            event.writeBack = true;
+        }
+        state.modBits[event.replacedFrameIndex] = isWrite ? 1 : 0;
+    } else if (event.type === 'HIT' && isWrite) {
+        state.modBits[state.frames.indexOf(event.page)] = 1;
+    }
+    return state;
+}
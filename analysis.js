@@ -0,0 +1,406 @@
+/* * -----------------------------------------------------------------
+ * analysis.js
+ * -----------------------------------------------------------------
+ * This file holds the Belady's anomaly explorer.
+ * It runs an algorithm for every frame count without animating,
+ * finds where faults go up, and draws the faults-vs-frames chart.
+ * For the stack algorithms (LRU, OPT) every frame count comes from
+ * one pass over the string: the stack distance of each reference
+ * says which memory sizes hit it. FIFO is run once per size and
+ * checked for the inclusion property the stack algorithms keep.
+ * -----------------------------------------------------------------
+ */
+
+// Import the headless engine
+import { createInitialState,applyStep } from './engine.js';
+
+// Reference strings known to show Belady's anomaly under FIFO
+export const KNOWN_ANOMALY_STRINGS=[
+    {
+        name:"Belady's classic string (3 → 4 frames)",
+        pages:'1, 2, 3, 4, 1, 2, 5, 1, 2, 3, 4, 5'
+    },
+    {
+        name:'Tanenbaum (3 → 4 frames)',
+        pages:'0, 1, 2, 3, 0, 1, 4, 0, 1, 2, 3, 4'
+    },
+    {
+        name:'Longer string (4 → 5 frames)',
+        pages:'1, 2, 3, 4, 5, 1, 2, 6, 1, 2, 3, 4, 5, 6'
+    }
+];
+
+// Colors of the miss-ratio curves
+const CURVE_COLORS={lru:"#3b82f6",optimal:"#22c55e",fifo:"#f59e0b"};
+
+/**
+ * Runs a whole simulation without drawing and returns the fault count.
+ * @param {string} algorithm - The algorithm key ('fifo', 'lru', ...).
+ * @param {number} numFrames - The number of physical memory frames.
+ * @param {number[]} pageString - The array of page requests.
+ * @param {boolean[]} writes - One flag per reference, true for writes.
+ * @param {object} options - Algorithm settings such as tieBreaker.
+ * @returns {number} The number of page faults.
+ */
+export function countFaults(algorithm,numFrames,pageString,writes,options){
+    let state=createInitialState(numFrames,options);
+    while (state.pageIndex<pageString.length){
+        state=applyStep(algorithm,state,pageString,writes,options);
+    }
+    return state.stats.pageFaults;
+}
+
+/**
+ * Runs the algorithm once for every frame count from 1 to maxFrames.
+ * @param {string} algorithm - The algorithm key.
+ * @param {number} maxFrames - The largest frame count to try.
+ * @param {number[]} pageString - The array of page requests.
+ * @param {boolean[]} writes - One flag per reference, true for writes.
+ * @param {object} options - Algorithm settings such as tieBreaker.
+ * @returns {{frames:number,faults:number}[]} One result per frame count.
+ */
+export function sweepFrameCounts(algorithm,maxFrames,pageString,writes,options){
+    // Stack algorithms get every frame count from one pass
+    if (Object.hasOwn(STACK_DISTANCES,algorithm)) return faultCurve(STACK_DISTANCES[algorithm](pageString),maxFrames);
+    const results=[];
+    for (let frames=1;frames<=maxFrames;frames++){
+        results.push({frames,faults:countFaults(algorithm,frames,pageString,writes,options)});
+    }
+    return results;
+}
+
+/**
+ * Computes the LRU stack distance of every reference in one pass: the
+ * position of the page in the LRU stack (1 = most recently used). The
+ * distinct pages used since the last use are counted with a Fenwick
+ * tree over the time of each page's latest use, so long traces stay fast.
+ * @param {number[]} pageString - The array of page requests.
+ * @returns {number[]} One distance per reference; Infinity for a page's first use.
+ */
+export function lruStackDistances(pageString){
+    const n=pageString.length;
+    const tree=new Int32Array(n+1);
+    const add=(time,value) => {
+        for (let i=time+1;i<=n;i+=i & -i) tree[i]+=value;
+    };
+    // Latest uses at times 0..time
+    const count=(time) => {
+        let total=0;
+        for (let i=time+1;i>0;i-=i & -i) total+=tree[i];
+        return total;
+    };
+
+    const lastUse=new Map();
+    return pageString.map((page,time) => {
+        const last=lastUse.get(page);
+        let distance=Infinity;
+        if (last!==undefined){
+            distance=count(time-1)-count(last)+1;
+            add(last,-1);
+        }
+        add(time,1);
+        lastUse.set(page,time);
+        return distance;
+    });
+}
+
+/**
+ * Computes the OPT stack distance of every reference in one pass
+ * (Mattson et al.): the referenced page moves to the top, and the page
+ * pushed down from each level competes with the page at the next one;
+ * the page needed sooner stays, the other moves on down.
+ * @param {number[]} pageString - The array of page requests.
+ * @returns {number[]} One distance per reference; Infinity for a page's first use.
+ */
+export function optStackDistances(pageString){
+    // When the page of each reference is used next (Infinity for never)
+    const nextUse=new Array(pageString.length);
+    const seen=new Map();
+    for (let time=pageString.length-1;time>=0;time--){
+        nextUse[time]=seen.get(pageString[time]) ?? Infinity;
+        seen.set(pageString[time],time);
+    }
+
+    const stack=[];       // Pages, level 1 first
+    const next=new Map(); // Page -> time of its next use
+    return pageString.map((page,time) => {
+        const depth=stack.indexOf(page);
+        next.set(page,nextUse[time]);
+        if (depth===0) return 1;
+        if (stack.length===0){
+            stack.push(page);
+            return Infinity;
+        }
+
+        let carried=stack[0];
+        stack[0]=page;
+        const end=depth<0?stack.length:depth;
+        for (let level=1;level<end;level++){
+            if (next.get(stack[level])>next.get(carried)){
+                const pushed=stack[level];
+                stack[level]=carried;
+                carried=pushed;
+            }
+        }
+        // The last page pushed down takes the referenced page's old place (or a new level)
+        if (depth<0) stack.push(carried);
+        else stack[depth]=carried;
+        return depth<0?Infinity:depth+1;
+    });
+}
+
+// One-pass stack distances of the stack algorithms, by algorithm key
+const STACK_DISTANCES={lru:lruStackDistances,optimal:optStackDistances};
+
+/**
+ * Turns stack distances into the fault count of every memory size: a
+ * reference hits with n frames exactly when its distance is at most n.
+ * @param {number[]} distances - Output of lruStackDistances or optStackDistances.
+ * @param {number} maxFrames - The largest frame count to report.
+ * @returns {{frames:number,faults:number}[]} One result per frame count, as sweepFrameCounts.
+ */
+export function faultCurve(distances,maxFrames){
+    // hitsAt[d]: references with distance d (the last slot collects deeper ones and first uses)
+    const hitsAt=new Array(maxFrames+2).fill(0);
+    for (const distance of distances) hitsAt[Math.min(distance,maxFrames+1)]++;
+    const results=[];
+    let hits=0;
+    for (let frames=1;frames<=maxFrames;frames++){
+        hits+=hitsAt[frames];
+        results.push({frames,faults:distances.length-hits});
+    }
+    return results;
+}
+
+/**
+ * Runs an algorithm for every frame count side by side and checks the
+ * inclusion property: after every reference, the pages resident with
+ * n frames should also be resident with n + 1. LRU always keeps it;
+ * FIFO need not, and only then can Belady's anomaly happen.
+ * @param {string} algorithm - The algorithm key.
+ * @param {number} maxFrames - The largest frame count to try.
+ * @param {number[]} pageString - The array of page requests.
+ * @param {boolean[]} writes - One flag per reference, true for writes.
+ * @param {object} options - Algorithm settings such as tieBreaker.
+ * @returns {{results:{frames:number,faults:number}[],violations:{frames:number,step:number,pages:number[]}[]}}
+ *          The faults for every frame count and, for every n where the property
+ *          fails, the first step it fails at and the pages resident with n frames
+ *          but not with n + 1.
+ */
+export function checkInclusion(algorithm,maxFrames,pageString,writes,options){
+    let states=Array.from({length:maxFrames},(_,i) => createInitialState(i+1,options));
+    const violations=[];
+    const broken=new Set();
+    for (let step=1;step<=pageString.length;step++){
+        states=states.map(state => applyStep(algorithm,state,pageString,writes,options));
+        for (let i=0;i<maxFrames-1;i++){
+            if (broken.has(i)) continue;
+            const larger=states[i+1].frames;
+            const missing=states[i].frames.filter(page => page!==null && !larger.includes(page));
+            if (missing.length===0) continue;
+            broken.add(i);
+            violations.push({frames:i+1,step,pages:missing});
+        }
+    }
+    return {
+        results:states.map((state,i) => ({frames:i+1,faults:state.stats.pageFaults})),
+        violations:violations.sort((a,b) => a.frames-b.frames)
+    };
+}
+
+/**
+ * Finds every frame count that causes more faults than one frame fewer.
+ * @param {{frames:number,faults:number}[]} results - Output of sweepFrameCounts.
+ * @returns {number[]} The frame counts where Belady's anomaly occurs.
+ */
+export function findAnomalies(results){
+    const anomalies=[];
+    for (let i=1;i<results.length;i++){
+        if (results[i].faults>results[i-1].faults) anomalies.push(results[i].frames);
+    }
+    return anomalies;
+}
+
+/**
+ * Draws the page faults vs. frame count chart, with anomalies in red.
+ * @param {HTMLCanvasElement} canvas - The canvas to draw on.
+ * @param {{frames:number,faults:number}[]} results - Output of sweepFrameCounts.
+ * @param {number[]} anomalies - Output of findAnomalies.
+ */
+export function drawFaultChart(canvas,results,anomalies){
+    const ctx=canvas.getContext('2d');
+    const width=canvas.width;
+    const height=canvas.height;
+    ctx.clearRect(0,0,width,height);
+
+    const left=60;
+    const right=30;
+    const top=30;
+    const bottom=50;
+    const plotW=width-left-right;
+    const plotH=height-top-bottom;
+
+    const maxFaults=Math.max(1,...results.map(r => r.faults));
+    const xOf=(i) => left+(results.length>1?(i/(results.length-1))*plotW:plotW/2);
+    const yOf=(faults) => top+plotH-(faults/maxFaults)*plotH;
+
+    // 1.Axes
+    ctx.strokeStyle="#94a3b8";
+    ctx.lineWidth=1;
+    ctx.beginPath();
+    ctx.moveTo(left,top);
+    ctx.lineTo(left,top+plotH);
+    ctx.lineTo(left+plotW,top+plotH);
+    ctx.stroke();
+
+    ctx.font="12px Inter";
+    ctx.fillStyle="#475569";
+    ctx.textAlign="center";
+    ctx.textBaseline="top";
+    results.forEach((r,i) => ctx.fillText(r.frames,xOf(i),top+plotH+6));
+    ctx.fillText("Number of Frames",left+plotW/2,height-18);
+
+    ctx.textAlign="right";
+    ctx.textBaseline="middle";
+    const yTicks=Math.min(maxFaults,5);
+    for (let t=0;t<=yTicks;t++){
+        const value=Math.round((maxFaults/yTicks)*t);
+        ctx.fillText(value,left-8,yOf(value));
+    }
+    ctx.save();
+    ctx.translate(16,top+plotH/2);
+    ctx.rotate(-Math.PI/2);
+    ctx.textAlign="center";
+    ctx.fillText("Page Faults",0,0);
+    ctx.restore();
+
+    // 2.Fault curve
+    ctx.strokeStyle="#3b82f6";
+    ctx.lineWidth=2;
+    ctx.beginPath();
+    results.forEach((r,i) => {
+        if (i===0) ctx.moveTo(xOf(i),yOf(r.faults));
+        else ctx.lineTo(xOf(i),yOf(r.faults));
+    });
+    ctx.stroke();
+
+    // Segments that go up are the anomaly
+    ctx.strokeStyle="#ef4444";
+    ctx.lineWidth=3;
+    results.forEach((r,i) => {
+        if (anomalies.includes(r.frames)){
+            ctx.beginPath();
+            ctx.moveTo(xOf(i-1),yOf(results[i-1].faults));
+            ctx.lineTo(xOf(i),yOf(r.faults));
+            ctx.stroke();
+        }
+    });
+
+    // 3.Points and labels
+    ctx.font="bold 12px Inter";
+    ctx.textAlign="center";
+    ctx.textBaseline="bottom";
+    results.forEach((r,i) => {
+        const anomalous=anomalies.includes(r.frames);
+        ctx.fillStyle=anomalous?"#ef4444":"#3b82f6";
+        ctx.beginPath();
+        ctx.arc(xOf(i),yOf(r.faults),anomalous?6:4,0,Math.PI*2);
+        ctx.fill();
+        ctx.fillStyle=anomalous?"#991b1b":"#1e293b";
+        ctx.fillText(r.faults,xOf(i),yOf(r.faults)-8);
+    });
+}
+
+/**
+ * Draws miss ratio (faults per reference) against the frame count for
+ * several algorithms, with a red band between n and n + 1 frames where
+ * FIFO breaks the inclusion property.
+ * @param {HTMLCanvasElement} canvas - The canvas to draw on.
+ * @param {{algorithm:string,label:string,results:{frames:number,faults:number}[]}[]} curves - One per algorithm.
+ * @param {{frames:number}[]} violations - Output of checkInclusion for FIFO.
+ * @param {number} references - The length of the page string.
+ */
+export function drawMissRatioChart(canvas,curves,violations,references){
+    const ctx=canvas.getContext('2d');
+    const width=canvas.width;
+    const height=canvas.height;
+    ctx.clearRect(0,0,width,height);
+
+    const left=60;
+    const right=30;
+    const top=40;
+    const bottom=50;
+    const plotW=width-left-right;
+    const plotH=height-top-bottom;
+
+    const count=curves[0].results.length;
+    const xOf=(frames) => left+(count>1?((frames-1)/(count-1))*plotW:plotW/2);
+    const yOf=(ratio) => top+plotH-ratio*plotH;
+
+    // 1.Inclusion violations (behind the curves)
+    ctx.fillStyle="rgba(239, 68, 68, 0.15)";
+    for (const v of violations){
+        ctx.fillRect(xOf(v.frames),top,xOf(v.frames+1)-xOf(v.frames),plotH);
+    }
+
+    // 2.Axes
+    ctx.strokeStyle="#94a3b8";
+    ctx.lineWidth=1;
+    ctx.beginPath();
+    ctx.moveTo(left,top);
+    ctx.lineTo(left,top+plotH);
+    ctx.lineTo(left+plotW,top+plotH);
+    ctx.stroke();
+
+    ctx.font="12px Inter";
+    ctx.fillStyle="#475569";
+    ctx.textAlign="center";
+    ctx.textBaseline="top";
+    curves[0].results.forEach(r => ctx.fillText(r.frames,xOf(r.frames),top+plotH+6));
+    ctx.fillText("Number of Frames",left+plotW/2,height-18);
+
+    ctx.textAlign="right";
+    ctx.textBaseline="middle";
+    for (let t=0;t<=4;t++) ctx.fillText(`${t*25}%`,left-8,yOf(t/4));
+    ctx.save();
+    ctx.translate(16,top+plotH/2);
+    ctx.rotate(-Math.PI/2);
+    ctx.textAlign="center";
+    ctx.fillText("Miss Ratio",0,0);
+    ctx.restore();
+
+    // 3.Curves
+    for (const curve of curves){
+        const color=CURVE_COLORS[curve.algorithm];
+        const ratio=(r) => r.faults/Math.max(1,references);
+        ctx.strokeStyle=color;
+        ctx.lineWidth=2;
+        ctx.beginPath();
+        curve.results.forEach((r,i) => {
+            if (i===0) ctx.moveTo(xOf(r.frames),yOf(ratio(r)));
+            else ctx.lineTo(xOf(r.frames),yOf(ratio(r)));
+        });
+        ctx.stroke();
+        ctx.fillStyle=color;
+        for (const r of curve.results){
+            ctx.beginPath();
+            ctx.arc(xOf(r.frames),yOf(ratio(r)),3,0,Math.PI*2);
+            ctx.fill();
+        }
+    }
+
+    // 4.Legend
+    const items=[...curves.map(c => [c.label,CURVE_COLORS[c.algorithm]])];
+    if (violations.length>0) items.push(["FIFO inclusion violated","rgba(239, 68, 68, 0.4)"]);
+    ctx.font="12px Inter";
+    ctx.textAlign="left";
+    ctx.textBaseline="middle";
+    let x=left;
+    for (const [label,color] of items){
+        ctx.fillStyle=color;
+        ctx.fillRect(x,12,12,12);
+        ctx.fillStyle="#1e293b";
+        ctx.fillText(label,x+18,18);
+        x+=ctx.measureText(label).width+40;
+    }
+}
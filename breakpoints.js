@@ -0,0 +1,67 @@
+/* * -----------------------------------------------------------------
+ * breakpoints.js
+ * -----------------------------------------------------------------
+ * This file holds the breakpoints that pause Play. A breakpoint is
+ * typed as a short phrase ("fault on page 4", "frame 2 replaced",
+ * "step 30") and is checked against each new state.
+ * -----------------------------------------------------------------
+ */
+
+// Phrases a breakpoint can be written as; n is a whole number
+const PATTERNS=[
+    {kind:'step',regex:/^step\s+(\d+)$/,label:(n) => `step ${n}`},
+    {kind:'fault-page',regex:/^fault\s+(?:on\s+)?page\s+(\d+)$/,label:(n) => `fault on page ${n}`},
+    {kind:'hit-page',regex:/^hit\s+(?:on\s+)?page\s+(\d+)$/,label:(n) => `hit on page ${n}`},
+    {kind:'page',regex:/^page\s+(\d+)$/,label:(n) => `page ${n}`},
+    {kind:'frame-replaced',regex:/^frame\s+(\d+)\s+replaced$/,label:(n) => `frame ${n} replaced`},
+    {kind:'fault',regex:/^(?:any\s+)?fault$/,label:() => 'any fault'},
+    {kind:'write-back',regex:/^write-?back$/,label:() => 'write-back'}
+];
+
+/**
+ * Parses a breakpoint phrase.
+ * @param {string} text - e.g. "fault on page 4", "frame 2 replaced", "step 30",
+ *                        "hit on page 1", "page 7", "fault" or "write-back".
+ * @returns {{kind:string,value:number|null,label:string}|null} The breakpoint,
+ *          or null if the phrase is not understood.
+ */
+export function parseBreakpoint(text){
+    const phrase=text.trim().toLowerCase().replace(/\s+/g,' ');
+    for (const pattern of PATTERNS){
+        const match=pattern.regex.exec(phrase);
+        if (!match) continue;
+        const value=match[1]===undefined?null:parseInt(match[1]);
+        return {kind:pattern.kind,value,label:pattern.label(value)};
+    }
+    return null;
+}
+
+/**
+ * Checks whether a state (just reached by stepping) hits a breakpoint.
+ * @param {{kind:string,value:number|null}} breakpoint - From parseBreakpoint.
+ * @param {object} state - The new current state.
+ * @returns {boolean} True if Play should pause here.
+ */
+export function matchesBreakpoint(breakpoint,state){
+    const event=state.lastEvent;
+    if (event.type!=='HIT' && event.type!=='FAULT') return false;
+    switch (breakpoint.kind){
+        case 'step':
+            return state.pageIndex===breakpoint.value;
+        case 'fault-page':
+            return event.type==='FAULT' && event.page===breakpoint.value;
+        case 'hit-page':
+            return event.type==='HIT' && event.page===breakpoint.value;
+        case 'page':
+            return event.page===breakpoint.value;
+        case 'frame-replaced':
+            // Loading into an empty frame is not a replacement
+            return event.type==='FAULT' && event.replaced!==null && event.replacedFrameIndex===breakpoint.value;
+        case 'fault':
+            return event.type==='FAULT';
+        case 'write-back':
+            return Boolean(event.writeBack);
+        default:
+            return false;
+    }
+}
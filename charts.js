@@ -0,0 +1,310 @@
+/* * -----------------------------------------------------------------
+ * charts.js
+ * -----------------------------------------------------------------
+ * This file holds the live charts under the animation: cumulative
+ * faults over the string, the fault rate over a sliding window and
+ * a per-page histogram of faults and hits. They are built from the
+ * events processed so far and rendered as SVG markup, which the
+ * page shows directly and the export saves as one file.
+ * -----------------------------------------------------------------
+ */
+
+// Default sliding window for the fault rate, in references
+export const DEFAULT_RATE_WINDOW=10;
+
+// Pages the histogram shows at most (the most referenced ones)
+export const HISTOGRAM_PAGES=40;
+
+// Size of one chart; on the page it scales to the panel width
+const WIDTH=640;
+const HEIGHT=220;
+const MARGIN={top:34,right:20,bottom:40,left:52};
+
+// Longest line drawn point by point; longer runs are sampled
+const MAX_POINTS=600;
+
+const COLORS={fault:"#ef4444",hit:"#22c55e",line:"#3b82f6",axis:"#94a3b8",grid:"#e2e8f0",text:"#475569",title:"#1e293b"};
+
+/**
+ * Works out the chart series from the events processed so far.
+ * @param {object[]} events - The lastEvent of every processed reference, in order.
+ * @param {number} total - The length of the whole page string (the x axis).
+ * @param {number} window - The sliding window for the fault rate, in references.
+ * @param {string[]} [names] - Process names, to tell the pages of different processes apart.
+ * @returns {{total:number,window:number,cumulative:number[],rate:number[],
+ *            pages:{label:string,faults:number,hits:number}[],pageCount:number}}
+ *          Faults so far and the windowed fault rate (0 to 1) after every
+ *          reference, and the histogram bars (at most HISTOGRAM_PAGES, in
+ *          page order) out of pageCount pages referenced.
+ */
+export function buildChartData(events,total,window,names){
+    return extendChartData(createChartData(total,window,names),events);
+}
+
+/**
+ * Starts empty chart series, to be grown with extendChartData as the
+ * simulation moves forward.
+ * @param {number} total - The length of the whole page string (the x axis).
+ * @param {number} window - The sliding window for the fault rate, in references.
+ * @param {string[]} [names] - Process names, to tell the pages of different processes apart.
+ * @returns {object} The chart data for no references (see buildChartData).
+ */
+export function createChartData(total,window,names){
+    return {total,window,names,cumulative:[],rate:[],counts:new Map(),pages:[],pageCount:0};
+}
+
+/**
+ * Adds the next references to chart series in place, so a long run
+ * costs only the new events per step.
+ * @param {object} data - The result of createChartData (or an earlier call).
+ * @param {object[]} events - The lastEvent of each reference after the ones already added.
+ * @returns {object} The same data, updated.
+ */
+export function extendChartData(data,events){
+    const {cumulative,rate,counts,names,window}=data;
+    for (const event of events){
+        const i=cumulative.length;
+        const fault=event.type==='FAULT';
+        const faults=(i>0?cumulative[i-1]:0)+(fault?1:0);
+        cumulative.push(faults);
+        // Faults among the last `window` references (fewer at the start)
+        const start=Math.max(0,i-window+1);
+        rate.push((faults-(start>0?cumulative[start-1]:0))/(i-start+1));
+
+        const owner=names && event.pid!==undefined?event.pid:-1;
+        const key=`${owner}:${event.page}`;
+        if (!counts.has(key)){
+            counts.set(key,{label:owner>=0?`${names[owner]}:${event.page}`:String(event.page),owner,page:event.page,faults:0,hits:0});
+        }
+        const bar=counts.get(key);
+        if (fault) bar.faults++;
+        else bar.hits++;
+    }
+
+    data.pages=[...counts.values()]
+        .sort((a,b) => (b.faults+b.hits)-(a.faults+a.hits))
+        .slice(0,HISTOGRAM_PAGES)
+        .sort((a,b) => a.owner-b.owner || a.page-b.page)
+        .map(({label,faults,hits}) => ({label,faults,hits}));
+    data.pageCount=counts.size;
+    return data;
+}
+
+/**
+ * Renders the three charts for the page.
+ * @param {object} data - The result of buildChartData.
+ * @returns {{cumulative:string,rate:string,histogram:string}} One <svg> element each.
+ */
+export function renderCharts(data){
+    return {
+        cumulative:svg(cumulativeChart(data)),
+        rate:svg(rateChart(data)),
+        histogram:svg(histogramChart(data))
+    };
+}
+
+/**
+ * Stacks the three charts in a standalone SVG file for download.
+ * @param {object} data - The result of buildChartData.
+ * @param {string} title - The heading shown above the charts.
+ * @returns {string} The complete SVG document.
+ */
+export function chartsSvgDocument(data,title){
+    const head=40;
+    const body=[cumulativeChart(data),rateChart(data),histogramChart(data)]
+        .map((chart,i) => `<g transform="translate(0,${head+i*HEIGHT})">${chart}</g>`)
+        .join('\n');
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${WIDTH} ${head+3*HEIGHT}" width="${WIDTH}" height="${head+3*HEIGHT}" font-family="Inter, Arial, sans-serif">
+<rect width="100%" height="100%" fill="#ffffff"/>
+<text x="${MARGIN.left}" y="26" font-size="16" font-weight="bold" fill="${COLORS.title}">${escapeXml(title)}</text>
+${body}
+</svg>
+`;
+}
+
+/**
+ * Draws faults so far against the reference number, with the
+ * "every reference faults" diagonal for scale.
+ * @param {object} data - The result of buildChartData.
+ * @returns {string} The chart's SVG markup.
+ */
+function cumulativeChart(data){
+    const yMax=Math.max(1,data.total);
+    const plot=plotArea(data.total,yMax);
+    // The line starts at (0, 0), before the first reference
+    const points=(i) => i===0?[0,0]:[i,data.cumulative[i-1]];
+    return [
+        chartTitle('Cumulative Page Faults'),
+        axes(plot,ticks(yMax),(v) => String(v),'Faults'),
+        `<line x1="${plot.x(0)}" y1="${plot.y(0)}" x2="${plot.x(data.total)}" y2="${plot.y(yMax)}" stroke="${COLORS.axis}" stroke-dasharray="4 4"/>`,
+        polyline(plot,data.cumulative.length+1,points,COLORS.fault)
+    ].join('');
+}
+
+/**
+ * Draws the share of faults among the last data.window references.
+ * @param {object} data - The result of buildChartData.
+ * @returns {string} The chart's SVG markup.
+ */
+function rateChart(data){
+    const plot=plotArea(data.total,1);
+    const points=(i) => [i+1,data.rate[i]];
+    return [
+        chartTitle(`Fault Rate (last ${data.window} reference${data.window===1?'':'s'})`),
+        axes(plot,[0,0.25,0.5,0.75,1],(v) => `${Math.round(v*100)}%`,'Rate'),
+        polyline(plot,data.rate.length,points,COLORS.line)
+    ].join('');
+}
+
+/**
+ * Draws one stacked bar per page: faults at the bottom, hits on top.
+ * @param {object} data - The result of buildChartData.
+ * @returns {string} The chart's SVG markup.
+ */
+function histogramChart(data){
+    const bars=data.pages;
+    const yMax=Math.max(1,...bars.map(b => b.faults+b.hits));
+    const plot=plotArea(Math.max(1,bars.length),yMax);
+    const slot=plot.width/Math.max(1,bars.length);
+    const barW=Math.max(2,slot*0.7);
+    const shown=bars.length<data.pageCount?` (${bars.length} most referenced of ${data.pageCount})`:'';
+    const parts=[
+        chartTitle(`Faults and Hits per Page${shown}`),
+        axes(plot,ticks(yMax),(v) => String(v),'References',true),
+        legend()
+    ];
+    // Label every page while they fit, otherwise every few
+    const every=Math.ceil(bars.length/Math.max(1,Math.floor(plot.width/28)));
+    bars.forEach((bar,i) => {
+        const x=plot.x(i)+(slot-barW)/2;
+        const faultTop=plot.y(bar.faults);
+        const hitTop=plot.y(bar.faults+bar.hits);
+        parts.push(`<rect x="${fmt(x)}" y="${fmt(faultTop)}" width="${fmt(barW)}" height="${fmt(plot.y(0)-faultTop)}" fill="${COLORS.fault}"><title>Page ${escapeXml(bar.label)}: ${bar.faults} fault${bar.faults===1?'':'s'}</title></rect>`);
+        parts.push(`<rect x="${fmt(x)}" y="${fmt(hitTop)}" width="${fmt(barW)}" height="${fmt(faultTop-hitTop)}" fill="${COLORS.hit}"><title>Page ${escapeXml(bar.label)}: ${bar.hits} hit${bar.hits===1?'':'s'}</title></rect>`);
+        if (i%every===0){
+            parts.push(`<text x="${fmt(x+barW/2)}" y="${plot.y(0)+14}" font-size="11" text-anchor="middle" fill="${COLORS.text}">${escapeXml(bar.label)}</text>`);
+        }
+    });
+    return parts.join('');
+}
+
+/**
+ * Maps data values to chart coordinates.
+ * @param {number} xMax - The largest x value.
+ * @param {number} yMax - The largest y value.
+ * @returns {{x:function,y:function,width:number,height:number,xMax:number}}
+ */
+function plotArea(xMax,yMax){
+    const width=WIDTH-MARGIN.left-MARGIN.right;
+    const height=HEIGHT-MARGIN.top-MARGIN.bottom;
+    return {
+        x:(v) => MARGIN.left+v/Math.max(1,xMax)*width,
+        y:(v) => MARGIN.top+height-v/yMax*height,
+        width,
+        height,
+        xMax
+    };
+}
+
+// Puts a chart's title at its top left
+function chartTitle(text){
+    return `<text x="${MARGIN.left}" y="20" font-size="13" font-weight="bold" fill="${COLORS.title}">${escapeXml(text)}</text>`;
+}
+
+/**
+ * Draws the axes, horizontal grid lines with their labels and, unless
+ * the bars label themselves, the reference numbers along the bottom.
+ * @param {object} plot - The result of plotArea.
+ * @param {number[]} yTicks - The y values to label.
+ * @param {function} label - Formats a y value.
+ * @param {string} yName - The y axis name.
+ * @param {boolean} [bars] - True for the histogram (no reference axis).
+ * @returns {string} The SVG markup.
+ */
+function axes(plot,yTicks,label,yName,bars=false){
+    const parts=[];
+    for (const v of yTicks){
+        const y=fmt(plot.y(v));
+        parts.push(`<line x1="${MARGIN.left}" y1="${y}" x2="${WIDTH-MARGIN.right}" y2="${y}" stroke="${COLORS.grid}"/>`);
+        parts.push(`<text x="${MARGIN.left-6}" y="${y}" font-size="11" text-anchor="end" dominant-baseline="middle" fill="${COLORS.text}">${label(v)}</text>`);
+    }
+    const bottom=fmt(plot.y(0));
+    parts.push(`<line x1="${MARGIN.left}" y1="${MARGIN.top}" x2="${MARGIN.left}" y2="${bottom}" stroke="${COLORS.axis}"/>`);
+    parts.push(`<line x1="${MARGIN.left}" y1="${bottom}" x2="${WIDTH-MARGIN.right}" y2="${bottom}" stroke="${COLORS.axis}"/>`);
+    parts.push(`<text x="14" y="${MARGIN.top+plot.height/2}" font-size="11" text-anchor="middle" fill="${COLORS.text}" transform="rotate(-90 14 ${MARGIN.top+plot.height/2})">${yName}</text>`);
+    if (!bars){
+        for (const v of ticks(plot.xMax)){
+            parts.push(`<text x="${fmt(plot.x(v))}" y="${plot.y(0)+14}" font-size="11" text-anchor="middle" fill="${COLORS.text}">${v}</text>`);
+        }
+        parts.push(`<text x="${MARGIN.left+plot.width/2}" y="${HEIGHT-6}" font-size="11" text-anchor="middle" fill="${COLORS.text}">Reference</text>`);
+    }
+    return parts.join('');
+}
+
+// The "Faults / Hits" key in the histogram's top right corner
+function legend(){
+    const x=WIDTH-MARGIN.right-120;
+    return `<rect x="${x}" y="10" width="10" height="10" fill="${COLORS.fault}"/>`+
+        `<text x="${x+14}" y="19" font-size="11" fill="${COLORS.text}">Faults</text>`+
+        `<rect x="${x+64}" y="10" width="10" height="10" fill="${COLORS.hit}"/>`+
+        `<text x="${x+78}" y="19" font-size="11" fill="${COLORS.text}">Hits</text>`;
+}
+
+/**
+ * Draws a line through the points, sampling long runs (only the
+ * sampled points are looked at, so the cost does not grow with the run).
+ * @param {object} plot - The result of plotArea.
+ * @param {number} count - The number of points.
+ * @param {function} pointAt - Returns the [x, y] pair of point i, in data values.
+ * @param {string} color - The line color.
+ * @returns {string} The SVG markup, with a dot on the last point (empty without points).
+ */
+function polyline(plot,count,pointAt,color){
+    if (count===0) return '';
+    const stride=Math.ceil(count/MAX_POINTS);
+    const sampled=[];
+    for (let i=0;i<count;i+=stride) sampled.push(pointAt(i));
+    if ((count-1)%stride!==0) sampled.push(pointAt(count-1));
+    const coords=sampled.map(([x,y]) => `${fmt(plot.x(x))},${fmt(plot.y(y))}`).join(' ');
+    const last=sampled[sampled.length-1];
+    return `<polyline points="${coords}" fill="none" stroke="${color}" stroke-width="2" stroke-linejoin="round"/>`+
+        `<circle cx="${fmt(plot.x(last[0]))}" cy="${fmt(plot.y(last[1]))}" r="3" fill="${color}"/>`;
+}
+
+/**
+ * Picks round whole numbers from 0 to max for axis labels.
+ * @param {number} max - The largest value on the axis.
+ * @returns {number[]} Up to about six values, 0 and max included.
+ */
+function ticks(max){
+    if (max<=5) return Array.from({length:max+1},(_,v) => v);
+    const step=niceStep(max/4);
+    const values=[];
+    for (let v=0;v<max;v+=step) values.push(v);
+    if (max-values[values.length-1]<step/2) values.pop();
+    values.push(max);
+    return values;
+}
+
+// Rounds a step up to 1, 2 or 5 times a power of ten
+function niceStep(raw){
+    const power=10**Math.floor(Math.log10(raw));
+    const step=[1,2,5,10].find(m => m*power>=raw)*power;
+    return Math.max(1,step);
+}
+
+// Wraps a chart in its own <svg> element
+function svg(body){
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${WIDTH} ${HEIGHT}" width="${WIDTH}" height="${HEIGHT}" font-family="Inter, Arial, sans-serif">${body}</svg>`;
+}
+
+// Rounds a coordinate to keep the markup short
+function fmt(v){
+    return Math.round(v*10)/10;
+}
+
+// Escapes text placed inside SVG markup
+function escapeXml(text){
+    return String(text).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;');
+}
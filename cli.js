@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/* * -----------------------------------------------------------------
+ * cli.js
+ * -----------------------------------------------------------------
+ * Command-line entry point for running simulations in Node.
+ * It uses the same engine as the browser and prints the full
+ * step trace as JSON, CSV, a textbook-style table or an HTML report.
+ *
+ *   node cli.js --algorithm lru --frames 3 --pages "7, 0, 1, 2, 0w"
+ *   node cli.js -a fifo -f 4 --file pages.txt --format csv
+ * -----------------------------------------------------------------
+ */
+
+import { readFileSync } from 'node:fs';
+import { ALGORITHMS,VARIABLE_DEFAULTS,ADAPTIVE_DEFAULTS,parsePageString,simulate,isVariableAllocation } from './engine.js';
+import { formatJson,formatCsv,formatTable,formatHtml } from './formatters.js';
+
+const USAGE=`Usage: node cli.js --algorithm <name> --frames <n> (--pages "<list>" | --file <path>) [options]
+
+Options:
+  -a, --algorithm <name>    ${Object.keys(ALGORITHMS).join(', ')}
+  -f, --frames <n>          Number of physical memory frames (not used by working-set and pff)
+  -p, --pages "<list>"      Comma-separated page string, e.g. "7w, 0, 1"
+      --file <path>         Read the page string from a file ('-' for stdin)
+      --format <format>     json (default), csv, table or html (a self-contained report)
+      --tie-breaker <rule>  LFU/MFU tie-breaker: fifo (default), lru or index
+      --window <n>          Working set window in references (default ${VARIABLE_DEFAULTS.wsWindow})
+      --upper <rate>        PFF upper fault-rate threshold (default ${VARIABLE_DEFAULTS.pffUpper})
+      --lower <rate>        PFF lower fault-rate threshold (default ${VARIABLE_DEFAULTS.pffLower})
+      --k <n>               LRU-K history depth (default ${ADAPTIVE_DEFAULTS.lruK})
+  -h, --help                Show this message`;
+
+const FORMATTERS={json:formatJson,csv:formatCsv,table:formatTable,html:formatHtml};
+
+/**
+ * Reads "--name value" pairs from the command line.
+ * @param {string[]} argv - The arguments after the script name.
+ * @returns {object} The options by long name.
+ */
+function parseArgs(argv){
+    const aliases={'-a':'--algorithm','-f':'--frames','-p':'--pages','-h':'--help'};
+    const args={format:'json','tie-breaker':'fifo'};
+    for (let i=0;i<argv.length;i++){
+        const flag=aliases[argv[i]] || argv[i];
+        if (flag==='--help'){
+            args.help=true;
+            continue;
+        }
+        if (!flag.startsWith('--') || i+1>=argv.length){
+            throw new Error(`Unexpected argument: ${argv[i]}`);
+        }
+        args[flag.slice(2)]=argv[++i];
+    }
+    return args;
+}
+
+function main(){
+    const args=parseArgs(process.argv.slice(2));
+    if (args.help){
+        console.log(USAGE);
+        return;
+    }
+
+    const algorithm=args.algorithm;
+    if (!(algorithm in ALGORITHMS)){
+        throw new Error(`Please choose an algorithm: ${Object.keys(ALGORITHMS).join(', ')}.`);
+    }
+    const frames=parseInt(args.frames);
+    if (!isVariableAllocation(algorithm) && (isNaN(frames) || frames<1)){
+        throw new Error('Please enter a valid number of frames (1 or more).');
+    }
+    const format=FORMATTERS[args.format];
+    if (!format){
+        throw new Error(`Unknown format: ${args.format} (use json, csv, table or html).`);
+    }
+
+    // Any whitespace also separates references in a file, except before an r/w mark ("7 w")
+    const raw=args.file!==undefined
+        ? readFileSync(args.file==='-'?0:args.file,'utf8').replace(/\s+(?=[rw]\b)/gi,'').replace(/[\s,]+/g,',')
+        : args.pages;
+    const refs=raw===undefined?null:parsePageString(raw);
+    if (refs===null){
+        throw new Error('Please enter a valid, comma-separated page reference string (e.g., 7w, 0r, 1).');
+    }
+
+    const trace=simulate(algorithm,frames,refs.pages,{
+        writes:refs.writes,
+        tieBreaker:args['tie-breaker'],
+        wsWindow:args.window!==undefined?Number(args.window):undefined,
+        pffUpper:args.upper!==undefined?Number(args.upper):undefined,
+        pffLower:args.lower!==undefined?Number(args.lower):undefined,
+        lruK:args.k!==undefined?Number(args.k):undefined
+    });
+    console.log(format(trace));
+}
+
+try {
+    main();
+} catch (err){
+    console.error(`Error: ${err.message}\n\n${USAGE}`);
+    process.exitCode=1;
+}
@@ -0,0 +1,247 @@
+/* * -----------------------------------------------------------------
+ * comparison.js
+ * -----------------------------------------------------------------
+ * This file holds the side-by-side comparison mode.
+ * It runs one SimulationController per algorithm on the same
+ * page string and steps them all in lockstep.
+ * -----------------------------------------------------------------
+ */
+
+// Import the main simulation class
+import { SimulationController,framesHeight } from './simulation.js';
+import { isVariableAllocation,peakFrames } from './engine.js';
+
+// Steps the summary table shows at most (the latest ones)
+const SUMMARY_STEPS=40;
+
+// Runs several simulations together, one lane each
+export class ComparisonController{
+
+    /**
+     * @param {HTMLElement} container - The element the lanes are added to.
+     * @param {{value:string,label:string,short:string}[]} algos - The algorithms to compare.
+     * @param {number} numFr - The number of physical memory frames.
+     * @param {number[]} pgStr - The array of page requests.
+     * @param {object} [options] - Passed on to every SimulationController.
+     */
+    constructor(container,algos,numFr,pgStr,options={}) {
+        this.container=container;
+        this.algorithms=algos;
+        this.numFrames=numFr;
+        this.pageString=pgStr;
+        this.options=options;
+        this.lanes=[];
+
+        for (const algo of algos){
+            // Lanes are stacked, so keep each canvas just tall enough for its frames
+            // (Working Set and PFF grow to their own peak, whatever numFr is)
+            const laneFrames=isVariableAllocation(algo.value)?Math.max(1,peakFrames(algo.value,pgStr,options)):numFr;
+            const laneOptions={...options,maxFrames:laneFrames,canvasHeight:200+framesHeight(laneFrames)};
+
+            const lane=document.createElement('div');
+            lane.className='comparison-lane';
+
+            const title=document.createElement('h3');
+            title.className='lane-title';
+            title.textContent=algo.label;
+
+            const canvasBox=document.createElement('div');
+            canvasBox.className='canvas-container';
+            const canvas=document.createElement('canvas');
+            canvasBox.appendChild(canvas);
+
+            const stats=document.createElement('div');
+            stats.className='lane-stats';
+
+            lane.append(title,canvasBox,stats);
+            this.container.appendChild(lane);
+
+            const controller=new SimulationController(canvas,algo.value,numFr,pgStr,laneOptions);
+            this.lanes.push({algo,lane,stats,controller});
+        }
+
+        // Summary table: cumulative faults per algorithm and the leader at every step
+        this.summary=document.createElement('div');
+        this.summary.className='comparison-summary';
+        this.container.appendChild(this.summary);
+        this.renderedStep=-1;
+    }
+
+    // The controllers move in lockstep, so any one of them describes them all
+    get controllers(){
+        return this.lanes.map(l => l.controller);
+    }
+
+    get isFinished(){
+        return this.controllers.every(c => c.isFinished);
+    }
+
+    get stateHistory(){
+        return this.controllers[0].stateHistory;
+    }
+
+    get cursor(){
+        return this.controllers[0].cursor;
+    }
+
+    get lastStep(){
+        return this.controllers[0].lastStep;
+    }
+
+    get currentState(){
+        return this.controllers[0].currentState;
+    }
+
+    /**
+     * Builds fresh copies of the lanes, back at step 0, in a detached
+     * container so the run can be recorded without touching this one.
+     * @param {number} width - The drawing width of every lane in pixels.
+     * @returns {ComparisonController} The copy.
+     */
+    createReplay(width){
+        const container=document.createElement('div');
+        return new ComparisonController(container,this.algorithms,this.numFrames,this.pageString,{...this.options,width});
+    }
+
+    // Removes the lanes and their listeners
+    destroy(){
+        for (const {lane,controller} of this.lanes){
+            controller.destroy();
+            lane.remove();
+        }
+        this.summary.remove();
+        this.lanes=[];
+    }
+
+    stepForward(){
+        for (const controller of this.controllers) controller.stepForward();
+    }
+
+    stepBackward(){
+        for (const controller of this.controllers) controller.stepBackward();
+    }
+
+    seek(step){
+        for (const controller of this.controllers) controller.seek(step);
+    }
+
+    draw(){
+        for (const controller of this.controllers) controller.draw();
+    }
+
+    setExplain(on){
+        for (const controller of this.controllers) controller.setExplain(on);
+    }
+
+    // Refreshes each lane's stats line and the summary table
+    updateStats(){
+        for (const {stats,controller} of this.lanes){
+            const s=controller.currentState.stats;
+            const total=s.pageFaults+s.pageHits;
+            const hitRatio=total>0?(s.pageHits/total)*100:0;
+            let text=`Faults: ${s.pageFaults} · Hits: ${s.pageHits} · Hit Ratio: ${hitRatio.toFixed(1)}% · Write-Backs: ${s.writeBacks}`;
+            if (controller.currentState.tlb){
+                const tlbRatio=total>0?(s.tlbHits/total)*100:0;
+                text+=` · TLB Hit Ratio: ${tlbRatio.toFixed(1)}%`;
+            }
+            stats.textContent=text;
+        }
+
+        // The table only changes when the step does
+        const step=this.currentState.pageIndex;
+        if (step===this.renderedStep) return;
+        this.renderedStep=step;
+        this.renderSummary(step);
+    }
+
+    /**
+     * Returns the labels of the algorithms with the fewest faults after a step.
+     * @param {number} step - Number of references processed.
+     * @returns {string[]} The leaders (several if tied).
+     */
+    leadersAt(step){
+        return this.leaders(this.lanes.map(l => l.controller.stateHistory.at(step).stats.pageFaults));
+    }
+
+    /**
+     * Returns the labels of the algorithms with the fewest faults.
+     * @param {number[]} faults - Faults so far, one per lane.
+     * @returns {string[]} The leaders (several if tied).
+     */
+    leaders(faults){
+        const best=Math.min(...faults);
+        return this.lanes.filter((l,i) => faults[i]===best).map(l => l.algo.short);
+    }
+
+    /**
+     * Builds the summary table up to the given step (the latest
+     * SUMMARY_STEPS steps on long strings).
+     * @param {number} step - Number of references processed.
+     */
+    renderSummary(step){
+        const table=document.createElement('table');
+        const first=Math.max(1,step-SUMMARY_STEPS+1);
+        if (first>1) table.createCaption().textContent=`Steps ${first}–${step} of ${this.pageString.length}`;
+
+        // Header: one column per processed reference
+        const head=table.insertRow();
+        head.insertCell().textContent='Reference';
+        for (let i=first-1;i<step;i++){
+            head.insertCell().textContent=this.pageString[i];
+        }
+
+        // Every lane's states for the shown steps, read once for both the rows and the leaders
+        const states=this.lanes.map(({controller}) => {
+            const list=[];
+            for (let i=first;i<=step;i++) list.push(controller.stateHistory.at(i));
+            return list;
+        });
+
+        // One row of cumulative faults per algorithm
+        this.lanes.forEach(({algo},l) => {
+            const row=table.insertRow();
+            row.insertCell().textContent=algo.short;
+            for (const state of states[l]){
+                const cell=row.insertCell();
+                cell.textContent=state.stats.pageFaults;
+                if (state.lastEvent.type==='FAULT') cell.className='summary-fault';
+            }
+        });
+
+        // Who is ahead (fewest faults so far) after each step
+        const aheadRow=table.insertRow();
+        aheadRow.className='summary-ahead';
+        aheadRow.insertCell().textContent='Ahead';
+        for (let c=0;c<=step-first;c++){
+            const leaders=this.leaders(states.map(list => list[c].stats.pageFaults));
+            aheadRow.insertCell().textContent=leaders.length===this.lanes.length?'Tie':leaders.join(' / ');
+        }
+
+        this.summary.replaceChildren(table);
+    }
+
+    /**
+     * Stacks every lane's canvas into one canvas for the screenshot export.
+     * @returns {HTMLCanvasElement} The combined image.
+     */
+    renderComposite(){
+        const canvases=this.controllers.map(c => c.canvas);
+        const out=document.createElement('canvas');
+        out.width=Math.max(...canvases.map(c => c.width));
+        out.height=canvases.reduce((sum,c) => sum+c.height,0);
+        const ctx=out.getContext('2d');
+        ctx.fillStyle='#ffffff';
+        ctx.fillRect(0,0,out.width,out.height);
+        ctx.font='bold 16px Inter';
+        ctx.fillStyle='#1e293b';
+        ctx.textAlign='left';
+        ctx.textBaseline='top';
+        let y=0;
+        this.lanes.forEach(({algo},i) => {
+            ctx.drawImage(canvases[i],0,y);
+            ctx.fillText(algo.label,16,y+16); // Lane titles live outside the canvas
+            y+=canvases[i].height;
+        });
+        return out;
+    }
+}
@@ -0,0 +1,348 @@
+/* * -----------------------------------------------------------------
+ * engine.js
+ * -----------------------------------------------------------------
+ * This file is the headless simulation engine.
+ * It builds states, runs one algorithm step at a time and can
+ * simulate a whole page string. It never touches the DOM, so
+ * it runs the same in the browser and in Node (see cli.js).
+ * -----------------------------------------------------------------
+ */
+
+// Import the algorithm functions
+import { fifoStep,lruStep,optimalStep,clockStep,enhancedClockStep,lfuStep,mfuStep,arcStep,twoQueueStep,lruKStep,workingSetStep,pffStep,trackModifiedBit } from './algorithms.js';
+import { createTlbState,trackTlb } from './tlb.js';
+import { isCustomPolicy,policyStep } from './policies.js';
+
+// Every algorithm the engine can run, with its display name
+export const ALGORITHMS={
+    'fifo':'FIFO (First-In, First-Out)',
+    'lru':'LRU (Least Recently Used)',
+    'optimal':'Optimal (OPT)',
+    'clock':'Clock (Second-Chance)',
+    'enhanced-clock':'Enhanced Second-Chance',
+    'lfu':'LFU (Least Frequently Used)',
+    'mfu':'MFU (Most Frequently Used)',
+    'arc':'ARC (Adaptive Replacement Cache)',
+    '2q':'2Q (Two Queues)',
+    'lru-k':'LRU-K (K-th Most Recent Use)',
+    'working-set':'Working Set (WS)',
+    'pff':'Page-Fault Frequency (PFF)'
+};
+
+// Default settings of the variable-allocation policies
+export const VARIABLE_DEFAULTS={
+    wsWindow:4,   // Working set window Δ, in references
+    pffUpper:0.5, // Add a frame when the fault rate is above this
+    pffLower:0.2  // Release frames when the fault rate is below this
+};
+
+// Default settings of the cache policies
+export const ADAPTIVE_DEFAULTS={
+    lruK:2 // LRU-K looks back this many references
+};
+
+/**
+ * Tells whether an algorithm sizes its own resident set (and so
+ * ignores the number of frames) instead of filling a fixed count.
+ * @param {string} algorithm - The algorithm key.
+ * @returns {boolean} True for Working Set and PFF.
+ */
+export function isVariableAllocation(algorithm){
+    return algorithm==='working-set' || algorithm==='pff';
+}
+
+/**
+ * Tells whether an algorithm is one of the cache policies that keep
+ * lists of pages beyond the frames (drawn beside them and compared
+ * against LRU).
+ * @param {string} algorithm - The algorithm key.
+ * @returns {boolean} True for ARC, 2Q and LRU-K.
+ */
+export function isAdaptivePolicy(algorithm){
+    return algorithm==='arc' || algorithm==='2q' || algorithm==='lru-k';
+}
+
+/**
+ * Parses a reference string such as "7w, 0r, 1".
+ * A trailing 'w' marks a write, 'r' (or nothing) a read.
+ * @param {string} raw - The reference string, e.g. from the page string input.
+ * @returns {{pages:number[],writes:boolean[]}|null} The parsed references, or null if invalid.
+ */
+export function parsePageString(raw){
+    const pages=[];
+    const writes=[];
+    const tokens=raw.split(',')
+                    .map(s => s.trim())
+                    .filter(s => s.length>0);
+    for (const token of tokens){
+        const match=/^(\d+)\s*([rw]?)$/i.exec(token);
+        if (!match) return null;
+        pages.push(parseInt(match[1]));
+        writes.push(match[2].toLowerCase()==='w');
+    }
+    return pages.length>0?{pages,writes}:null;
+}
+
+/**
+ * Parses a string of virtual addresses such as "0x1A3F, 8196w, 0x20 r".
+ * Addresses are hex with a 0x prefix or decimal; a trailing 'w' marks a write.
+ * @param {string} raw - The address string.
+ * @returns {{addresses:number[],writes:boolean[]}|null} The parsed addresses, or null if invalid.
+ */
+export function parseAddressString(raw){
+    const addresses=[];
+    const writes=[];
+    const tokens=raw.split(',')
+                    .map(s => s.trim())
+                    .filter(s => s.length>0);
+    for (const token of tokens){
+        const match=/^(0x[0-9a-f]+|\d+)\s*([rw]?)$/i.exec(token);
+        if (!match) return null;
+        addresses.push(Number(match[1]));
+        writes.push(match[2].toLowerCase()==='w');
+    }
+    return addresses.length>0?{addresses,writes}:null;
+}
+
+/**
+ * Splits virtual addresses into page numbers.
+ * @param {number[]} addresses - The virtual addresses.
+ * @param {number} pageSize - The page size in bytes.
+ * @returns {number[]} The page number of each address.
+ */
+export function addressesToPages(addresses,pageSize){
+    return addresses.map(address => Math.floor(address/pageSize));
+}
+
+/**
+ * Formats references back into the reference string syntax ("7w, 0, 1").
+ * @param {number[]} pages - The array of page requests.
+ * @param {boolean[]} [writes] - One flag per reference, true for writes.
+ * @returns {string} The reference string.
+ */
+export function formatPageString(pages,writes=[]){
+    return pages.map((page,i) => `${page}${writes[i]?'w':''}`).join(', ');
+}
+
+/**
+ * Builds the starting state of a simulation (everything except drawing coordinates).
+ * @param {number} numFrames - The number of physical memory frames.
+ * @param {object} [options] - Simulation settings; { tlb:{size,policy,seed} } adds a TLB.
+ * @returns {object} The initial state.
+ */
+export function createInitialState(numFrames,options={}){
+    const state={
+        // Core Logic State
+        frames: new Array(numFrames).fill(null), // Physical memory
+        pageIndex:0,           // Current position in pageString
+        stats:{
+            pageFaults:0,
+            pageHits:0,
+            writeBacks:0 // Dirty pages written to disk on eviction
+        },
+        
+        // Algorithm-specific state
+        // For FIFO:
+        fifoPointer:0,
+        // For LRU:
+        lruQueue:[], // Stores pages in order of use (most recent at end)
+        // For Clock / Enhanced Second-Chance:
+        clockHand:0,
+        refBits:new Array(numFrames).fill(0), // Reference bit per frame
+        // Modified (dirty) bit per frame, kept for every algorithm
+        modBits:new Array(numFrames).fill(0),
+        // For LFU / MFU:
+        refCounts:{}, // Reference count per resident page
+        // For ARC: target size p of T1, resident lists T1 / T2 and ghost lists B1 / B2 (LRU end first)
+        arc:{p:0,t1:[],t2:[],b1:[],b2:[]},
+        // For 2Q: A1in (FIFO, resident), A1out (FIFO, ghosts) and Am (LRU, resident)
+        twoQueue:{a1in:[],a1out:[],am:[]},
+        // For LRU-K: times of the last K references of every page seen
+        history:{},
+        loadTimes:new Array(numFrames).fill(-1),    // Step at which each frame was loaded
+        lastUseTimes:new Array(numFrames).fill(-1), // Step at which each frame was last used
+        // For PFF:
+        lastFaultTime:-1,
+
+        // UI / Animation State
+        lastEvent:{
+            type:'START', // 'START', 'HIT', 'FAULT', 'DONE'
+            page:null,
+            replaced:null
+        }
+    };
+
+    // Optional TLB in front of the page table
+    if (options.tlb){
+        state.tlb=createTlbState(options.tlb);
+        state.stats.tlbHits=0;
+        state.stats.tlbMisses=0;
+    }
+    return state;
+}
+
+/**
+ * Processes the reference at state.pageIndex with the chosen algorithm.
+ * The given state is left untouched; a new state is returned.
+ * @param {string} algorithm - The algorithm key ('fifo', 'lru', ...).
+ * @param {object} state - The current simulation state.
+ * @param {number[]} pageString - The full array of page requests.
+ * @param {boolean[]} writes - One flag per reference, true for writes.
+ * @param {object} options - Algorithm settings such as tieBreaker, and
+ *                           policySteps (one decision per reference) for a user policy.
+ * @returns {object} The state after this step.
+ */
+export function applyStep(algorithm,state,pageString,writes,options){
+    // Get the current page
+    const currentPage=pageString[state.pageIndex];
+    
+    // Create a deep copy of the state to pass to the pure function
+    const stateToProcess=JSON.parse(JSON.stringify(state));
+    
+    // Call the appropriate algorithm function
+    let result;
+    switch (algorithm){
+        case 'fifo':
+            result=fifoStep(stateToProcess,currentPage);
+            break;
+        case 'lru':
+            result=lruStep(stateToProcess,currentPage);
+            break;
+        case 'optimal':
+            // Optimal needs to look ahead in the page string
+            const futureString=pageString.slice(state.pageIndex+1);
+            result=optimalStep(stateToProcess,currentPage,futureString);
+            break;
+        case 'clock':
+            result=clockStep(stateToProcess,currentPage);
+            break;
+        case 'enhanced-clock':
+            result=enhancedClockStep(stateToProcess,currentPage);
+            break;
+        case 'lfu':
+            result=lfuStep(stateToProcess,currentPage,options.tieBreaker);
+            break;
+        case 'mfu':
+            result=mfuStep(stateToProcess,currentPage,options.tieBreaker);
+            break;
+        case 'arc':
+            result=arcStep(stateToProcess,currentPage);
+            break;
+        case '2q':
+            result=twoQueueStep(stateToProcess,currentPage);
+            break;
+        case 'lru-k':
+            result=lruKStep(stateToProcess,currentPage,options.lruK ?? ADAPTIVE_DEFAULTS.lruK);
+            break;
+        case 'working-set':
+            result=workingSetStep(stateToProcess,currentPage,options.wsWindow ?? VARIABLE_DEFAULTS.wsWindow);
+            break;
+        case 'pff':
+            result=pffStep(stateToProcess,currentPage,
+                options.pffUpper ?? VARIABLE_DEFAULTS.pffUpper,
+                options.pffLower ?? VARIABLE_DEFAULTS.pffLower);
+            break;
+        default:
+            // User policies replay the decisions their worker recorded (see policies.js)
+            if (isCustomPolicy(algorithm) && options.policySteps?.[state.pageIndex]){
+                result=policyStep(stateToProcess,currentPage,options.policySteps[state.pageIndex]);
+                break;
+            }
+            throw new Error(`Unknown algorithm: ${algorithm}`);
+    }
+
+    // Every algorithm shares the same dirty-bit bookkeeping
+    trackModifiedBit(result,writes[state.pageIndex]);
+
+    // The TLB (if any) sees the reference after the page table is up to date
+    if (options.tlb) trackTlb(result,options.tlb);
+
+    // Move to the next page
+    result.pageIndex++;
+    return result;
+}
+
+/**
+ * Runs a whole simulation and keeps every intermediate state.
+ * @param {string} algorithm - The algorithm key ('fifo', 'lru', ...).
+ * @param {number} frames - The number of physical memory frames (ignored by Working Set and PFF).
+ * @param {number[]} pages - The array of page requests.
+ * @param {object} [options] - { writes:[...], tieBreaker:'fifo', tlb:{size,policy,seed},
+ *                             wsWindow:4, pffUpper:0.5, pffLower:0.2, lruK:2 }.
+ * @returns {{algorithm:string,numFrames:number,pages:number[],writes:boolean[],
+ *            states:object[],events:object[],stats:object}}
+ *          states[0] is the initial state and states[i] the state after
+ *          reference i-1; events[i] is the event of reference i. For the
+ *          variable-allocation policies numFrames is the largest frame count used.
+ */
+export function simulate(algorithm,frames,pages,options={}){
+    if (!(algorithm in ALGORITHMS)) throw new Error(`Unknown algorithm: ${algorithm}`);
+    const variable=isVariableAllocation(algorithm);
+    if (!variable && (!Number.isInteger(frames) || frames<1)) throw new Error(`Invalid number of frames: ${frames}`);
+
+    const writes=options.writes || new Array(pages.length).fill(false);
+    const settings={tieBreaker:'fifo',...options};
+    checkVariableSettings(settings);
+
+    // Variable-allocation policies start with no frames and add them as needed
+    let state=createInitialState(variable?0:frames,settings);
+    const states=[state];
+    const events=[];
+    // Running maximum: spreading every state's frame count into Math.max overflows the stack on long traces
+    let maxFrames=0;
+    while (state.pageIndex<pages.length){
+        state=applyStep(algorithm,state,pages,writes,settings);
+        states.push(state);
+        events.push(state.lastEvent);
+        maxFrames=Math.max(maxFrames,state.frames.length);
+    }
+
+    return {
+        algorithm,
+        numFrames:variable?maxFrames:frames,
+        pages,
+        writes,
+        states,
+        events,
+        stats:state.stats
+    };
+}
+
+/**
+ * Runs a Working Set or PFF simulation through to find the most frames
+ * it ever holds. Only the current state is kept, so long page strings
+ * cost no extra memory.
+ * @param {string} algorithm - 'working-set' or 'pff'.
+ * @param {number[]} pages - The page string.
+ * @param {object} [options] - The simulation settings (wsWindow, pffUpper, pffLower, writes).
+ * @returns {number} The largest frame count (0 for an empty page string).
+ * @throws {Error} If the window or the thresholds are invalid.
+ */
+export function peakFrames(algorithm,pages,options={}){
+    checkVariableSettings(options);
+    const writes=options.writes || new Array(pages.length).fill(false);
+    let state=createInitialState(0,options);
+    let peak=0;
+    while (state.pageIndex<pages.length){
+        state=applyStep(algorithm,state,pages,writes,options);
+        peak=Math.max(peak,state.frames.length);
+    }
+    return peak;
+}
+
+/**
+ * Checks the Working Set / PFF / LRU-K settings that are present.
+ * @param {object} options - The simulation settings.
+ * @throws {Error} If the window, the thresholds or K are invalid.
+ */
+export function checkVariableSettings(options){
+    const wsWindow=options.wsWindow ?? VARIABLE_DEFAULTS.wsWindow;
+    const pffUpper=options.pffUpper ?? VARIABLE_DEFAULTS.pffUpper;
+    const pffLower=options.pffLower ?? VARIABLE_DEFAULTS.pffLower;
+    const lruK=options.lruK ?? ADAPTIVE_DEFAULTS.lruK;
+    if (!Number.isInteger(wsWindow) || wsWindow<1) throw new Error(`Invalid working set window: ${wsWindow}`);
+    if (!Number.isInteger(lruK) || lruK<1 || lruK>8) throw new Error(`Invalid LRU-K history depth: ${lruK} (need 1 to 8)`);
+    if (!(pffLower>=0 && pffUpper<=1 && pffLower<pffUpper)){
+        throw new Error(`Invalid PFF thresholds: lower ${pffLower}, upper ${pffUpper} (need 0 ≤ lower < upper ≤ 1)`);
+    }
+}
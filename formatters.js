@@ -0,0 +1,213 @@
+/* * -----------------------------------------------------------------
+ * formatters.js
+ * -----------------------------------------------------------------
+ * This file turns a trace from engine.simulate() into text:
+ * JSON, a CSV step log, a textbook-style frame table, or a
+ * self-contained HTML report.
+ * It has no DOM code, so both the CLI and the browser use it.
+ * -----------------------------------------------------------------
+ */
+
+// Import the algorithm names for the report
+import { ALGORITHMS } from './engine.js';
+
+/**
+ * Flattens a trace into one plain row per reference.
+ * @param {object} trace - The result of simulate().
+ * @returns {object[]} One row per step.
+ */
+export function traceRows(trace){
+    return trace.events.map((event,i) => ({
+        step:i+1,
+        page:trace.pages[i],
+        access:trace.writes[i]?'write':'read',
+        event:event.type,
+        replaced:event.replaced,
+        replacedFrameIndex:event.replacedFrameIndex,
+        writeBack:event.writeBack,
+        // Variable-allocation policies use fewer frames at times; pad to the widest step
+        frames:Array.from({length:trace.numFrames},(_,f) => trace.states[i+1].frames[f] ?? null)
+    }));
+}
+
+/**
+ * Formats a trace as JSON, including the full state after every step.
+ * @param {object} trace - The result of simulate().
+ * @returns {string} The JSON text.
+ */
+export function formatJson(trace){
+    const rows=traceRows(trace);
+    return JSON.stringify({
+        algorithm:trace.algorithm,
+        numFrames:trace.numFrames,
+        pages:trace.pages,
+        writes:trace.writes,
+        stats:trace.stats,
+        steps:rows.map((row,i) => ({...row,state:trace.states[i+1]}))
+    },null,2);
+}
+
+/**
+ * Formats a trace as a CSV step log (one line per reference). A frame
+ * released by Working Set or PFF keeps its column and stays empty until
+ * a page is loaded into it again.
+ * @param {object} trace - The result of simulate().
+ * @returns {string} The CSV text.
+ */
+export function formatCsv(trace){
+    const frameCols=[];
+    for (let i=0;i<trace.numFrames;i++) frameCols.push(`frame_${i}`);
+
+    const lines=[['step','page','access','event','victim_page','victim_frame','write_back',...frameCols].join(',')];
+    for (const row of traceRows(trace)){
+        const isFault=row.event==='FAULT';
+        lines.push([
+            row.step,
+            row.page,
+            row.access,
+            row.event,
+            isFault && row.replaced!==null?row.replaced:'',
+            isFault?row.replacedFrameIndex:'',
+            row.writeBack?1:0,
+            ...row.frames.map(p => p===null?'':p)
+        ].join(','));
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Formats a trace as the grid used in textbooks: one column per
+ * reference, one row per frame and an 'F' under every fault.
+ * @param {object} trace - The result of simulate().
+ * @returns {string} The table text.
+ */
+export function formatTable(trace){
+    const rows=traceRows(trace);
+    const hasWrites=trace.writes.some(w => w);
+
+    // Every cell is as wide as the widest page label
+    const refLabels=rows.map(r => `${r.page}${trace.writes[r.step-1]?'w':''}`);
+    const cellW=Math.max(2,...refLabels.map(l => l.length))+1;
+    const headW=Math.max('Reference'.length,`Frame ${trace.numFrames-1}`.length,'Write-back'.length);
+    const cell=(text) => String(text).padStart(cellW);
+    const line=(head,cells) => `${head.padEnd(headW)} |${cells.map(cell).join('')}`.trimEnd();
+
+    const lines=[line('Reference',refLabels)];
+    lines.push('-'.repeat(headW+1)+'+'+'-'.repeat(cellW*rows.length));
+    for (let f=0;f<trace.numFrames;f++){
+        lines.push(line(`Frame ${f}`,rows.map(r => r.frames[f]===null?'':r.frames[f])));
+    }
+    lines.push('-'.repeat(headW+1)+'+'+'-'.repeat(cellW*rows.length));
+    lines.push(line('Fault',rows.map(r => r.event==='FAULT'?'F':'')));
+    if (hasWrites){
+        lines.push(line('Write-back',rows.map(r => r.writeBack?'W':'')));
+    }
+
+    const s=trace.stats;
+    const total=s.pageFaults+s.pageHits;
+    const hitRatio=total>0?(s.pageHits/total)*100:0;
+    lines.push('');
+    lines.push(`Page Faults: ${s.pageFaults}  Page Hits: ${s.pageHits}  Hit Ratio: ${hitRatio.toFixed(1)}%  Write-Backs: ${s.writeBacks}`);
+    return lines.join('\n');
+}
+
+/**
+ * Formats a trace as a self-contained HTML report: the configuration,
+ * the totals and hit ratio, and a step log with the victim and the
+ * frame contents after every reference.
+ * @param {object} trace - The result of simulate() (or the same shape built from a history).
+ * @param {object} [report] - { title, config:[[label,value],...], summary:[[label,value],...] }
+ *                            to replace the default title and add configuration and summary rows.
+ * @returns {string} The HTML document.
+ */
+export function formatHtml(trace,report={}){
+    const rows=traceRows(trace);
+    const s=trace.stats;
+    const total=s.pageFaults+s.pageHits;
+    const hitRatio=total>0?(s.pageHits/total)*100:0;
+    const algoName=ALGORITHMS[trace.algorithm] || trace.algorithm;
+    const title=report.title || `${algoName} with ${trace.numFrames} frames`;
+
+    const config=[
+        ['Algorithm',algoName],
+        ['Frames',trace.numFrames],
+        ['References',trace.pages.length],
+        ...(report.config || [])
+    ];
+    const summary=[
+        ['Steps',rows.length],
+        ['Page Faults',s.pageFaults],
+        ['Page Hits',s.pageHits],
+        ['Hit Ratio',`${hitRatio.toFixed(1)}%`],
+        ['Write-Backs',s.writeBacks],
+        ...(report.summary || [])
+    ];
+    const keyValueRows=(pairs) => pairs
+        .map(([label,value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+        .join('\n');
+
+    const frameHeads=[];
+    for (let i=0;i<trace.numFrames;i++) frameHeads.push(`<th>Frame ${i}</th>`);
+    const stepRows=rows.map(row => {
+        const isFault=row.event==='FAULT';
+        const cells=[
+            row.step,
+            `${row.page}${row.access==='write'?'w':''}`,
+            row.event,
+            isFault && row.replaced!==null?row.replaced:'',
+            isFault?row.replacedFrameIndex:'',
+            row.writeBack?'yes':'',
+            ...row.frames.map(p => p===null?'':p)
+        ];
+        return `<tr class="${isFault?'step-fault':'step-hit'}">${cells.map(c => `<td>${escapeHtml(c)}</td>`).join('')}</tr>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>
+    body { font-family: Inter, Arial, sans-serif; color: #334155; padding: 2rem; }
+    h1 { font-size: 1.25rem; color: #1e293b; }
+    h2 { font-size: 1rem; color: #1e293b; margin-top: 1.5rem; }
+    table { border-collapse: collapse; font-size: 0.9rem; }
+    th, td { border: 1px solid #cbd5e1; padding: 0.3rem 0.6rem; }
+    th { background: #f1f5f9; text-align: left; }
+    .report-steps td { text-align: center; min-width: 2rem; }
+    .report-steps .step-fault { background: #fee2e2; }
+    .report-steps .step-hit { background: #dcfce7; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<h2>Configuration</h2>
+<table class="report-config">
+${keyValueRows(config)}
+</table>
+<h2>Summary</h2>
+<table class="report-summary">
+${keyValueRows(summary)}
+</table>
+<h2>Step Log</h2>
+<table class="report-steps">
+<tr><th>Step</th><th>Reference</th><th>Event</th><th>Victim Page</th><th>Victim Frame</th><th>Write-Back</th>${frameHeads.join('')}</tr>
+${stepRows}
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Escapes text for use inside HTML.
+ * @param {*} value - The value to show.
+ * @returns {string} The escaped text.
+ */
+export function escapeHtml(value){
+    return String(value)
+        .replace(/&/g,'&amp;')
+        .replace(/</g,'&lt;')
+        .replace(/>/g,'&gt;')
+        .replace(/"/g,'&quot;');
+}
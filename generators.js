@@ -0,0 +1,151 @@
+/* * -----------------------------------------------------------------
+ * generators.js
+ * -----------------------------------------------------------------
+ * This file holds the synthetic reference string generators:
+ * uniform random, looping (sequential), Zipf-skewed and phased
+ * working-set (locality) strings. Every generator draws from a
+ * seeded PRNG, so a string is reproducible from its seed.
+ * -----------------------------------------------------------------
+ */
+
+import { createRandom } from './random.js';
+
+// Every generator, with its display name and the parameters it uses
+export const GENERATORS={
+    'uniform':{name:'Uniform random',params:[]},
+    'looping':{name:'Looping / sequential',params:['loopLength','noise']},
+    'zipf':{name:'Zipf-skewed',params:['skew']},
+    'working-set':{name:'Phased working set (locality)',params:['phaseLength','workingSetSize','locality']}
+};
+
+/**
+ * Generates a reference string.
+ * @param {string} type - A key of GENERATORS.
+ * @param {number} seed - The PRNG seed.
+ * @param {object} params - { length, pageRange, writeRatio } plus the type's own parameters.
+ * @returns {{pages:number[],writes:boolean[]}} The generated references.
+ */
+export function generateReferenceString(type,seed,params){
+    const rng=createRandom(seed);
+    let pages;
+    switch (type){
+        case 'uniform':
+            pages=generateUniform(rng,params);
+            break;
+        case 'looping':
+            pages=generateLooping(rng,params);
+            break;
+        case 'zipf':
+            pages=generateZipf(rng,params);
+            break;
+        case 'working-set':
+            pages=generateWorkingSet(rng,params);
+            break;
+        default:
+            throw new Error(`Unknown generator: ${type}`);
+    }
+
+    // Writes are drawn after the pages so they don't change the page sequence
+    const writeRatio=params.writeRatio || 0;
+    const writes=pages.map(() => rng()<writeRatio);
+    return {pages,writes};
+}
+
+/**
+ * Every page in [0, pageRange) is equally likely.
+ * @param {function} rng - The seeded random function.
+ * @param {object} params - { length, pageRange }.
+ * @returns {number[]} The pages.
+ */
+function generateUniform(rng,{length,pageRange}){
+    const pages=[];
+    for (let i=0;i<length;i++) pages.push(randomInt(rng,pageRange));
+    return pages;
+}
+
+/**
+ * Walks 0, 1, ..., loopLength-1 over and over, like a loop over an
+ * array. With probability 'noise' a reference goes to a random page.
+ * @param {function} rng - The seeded random function.
+ * @param {object} params - { length, pageRange, loopLength, noise }.
+ * @returns {number[]} The pages.
+ */
+function generateLooping(rng,{length,pageRange,loopLength,noise}){
+    const loop=Math.max(1,Math.min(loopLength,pageRange));
+    const pages=[];
+    for (let i=0;i<length;i++){
+        pages.push(rng()<noise?randomInt(rng,pageRange):i%loop);
+    }
+    return pages;
+}
+
+/**
+ * Page popularity follows a Zipf law: the k-th most popular page is
+ * chosen with probability proportional to 1 / k^skew. Which page
+ * numbers are popular is shuffled by the seed.
+ * @param {function} rng - The seeded random function.
+ * @param {object} params - { length, pageRange, skew }.
+ * @returns {number[]} The pages.
+ */
+function generateZipf(rng,{length,pageRange,skew}){
+    // Cumulative weights of ranks 1..pageRange
+    const cumulative=[];
+    let total=0;
+    for (let k=1;k<=pageRange;k++){
+        total+=1/Math.pow(k,skew);
+        cumulative.push(total);
+    }
+
+    const byRank=shuffle(rng,range(pageRange));
+    const pages=[];
+    for (let i=0;i<length;i++){
+        const target=rng()*total;
+        let rank=cumulative.findIndex(c => c>=target);
+        if (rank===-1) rank=pageRange-1;
+        pages.push(byRank[rank]);
+    }
+    return pages;
+}
+
+/**
+ * The string is split into phases. Each phase picks a working set of
+ * pages; a reference stays inside it with probability 'locality' and
+ * otherwise goes to any page.
+ * @param {function} rng - The seeded random function.
+ * @param {object} params - { length, pageRange, phaseLength, workingSetSize, locality }.
+ * @returns {number[]} The pages.
+ */
+function generateWorkingSet(rng,{length,pageRange,phaseLength,workingSetSize,locality}){
+    const setSize=Math.max(1,Math.min(workingSetSize,pageRange));
+    const phase=Math.max(1,phaseLength);
+    const pages=[];
+    let workingSet=[];
+    for (let i=0;i<length;i++){
+        if (i%phase===0){
+            workingSet=shuffle(rng,range(pageRange)).slice(0,setSize);
+        }
+        pages.push(rng()<locality
+            ? workingSet[randomInt(rng,setSize)]
+            : randomInt(rng,pageRange));
+    }
+    return pages;
+}
+
+// Returns an integer in [0, n)
+function randomInt(rng,n){
+    return Math.floor(rng()*n);
+}
+
+// Returns [0, 1, ..., n-1]
+function range(n){
+    return Array.from({length:n},(_,i) => i);
+}
+
+// Fisher-Yates shuffle driven by the seeded random function
+function shuffle(rng,items){
+    for (let i=items.length-1;i>0;i--){
+        const j=randomInt(rng,i+1);
+        [items[i],items[j]]=[items[j],items[i]];
+    }
+    return items;
+}
@@ -0,0 +1,209 @@
+/* * -----------------------------------------------------------------
+ * gif.js
+ * -----------------------------------------------------------------
+ * A small animated GIF (GIF89a) encoder for the run recordings.
+ * Every frame gets its own 256-color palette, picked from the
+ * frame's most common colors, so frames can be added one at a
+ * time without keeping the whole animation in memory.
+ * -----------------------------------------------------------------
+ */
+
+// Largest code the GIF variant of LZW may use
+const MAX_CODE=4096;
+
+/**
+ * Starts a new animation that loops forever.
+ * @param {number} width - Frame width in pixels.
+ * @param {number} height - Frame height in pixels.
+ * @returns {{width:number,height:number,chunks:Uint8Array[]}} The encoder state.
+ */
+export function createGif(width,height){
+    const header=[
+        ...ascii('GIF89a'),
+        ...word(width),...word(height),
+        0x00,0x00,0x00,                         // No global palette, background 0, square pixels
+        0x21,0xff,0x0b,...ascii('NETSCAPE2.0'), // Application extension: loop count
+        0x03,0x01,...word(0),0x00               // 0 = loop forever
+    ];
+    return {width,height,chunks:[Uint8Array.from(header)]};
+}
+
+/**
+ * Adds one frame to the animation.
+ * @param {object} gif - The state from createGif.
+ * @param {Uint8ClampedArray} rgba - The frame's pixels (from getImageData), width * height * 4 bytes.
+ * @param {number} delay - How long the frame is shown, in milliseconds.
+ */
+export function addGifFrame(gif,rgba,delay){
+    const {palette,indices}=quantize(rgba);
+    const bytes=[
+        0x21,0xf9,0x04,0x00,                    // Graphic control extension, no transparency
+        ...word(Math.max(2,Math.round(delay/10))),0x00,0x00,
+        0x2c,...word(0),...word(0),             // Image descriptor at (0, 0)
+        ...word(gif.width),...word(gif.height),
+        0x87                                    // Local palette of 2^(7+1) = 256 colors
+    ];
+    gif.chunks.push(Uint8Array.from(bytes),palette,Uint8Array.of(8));
+
+    // LZW data goes out in sub-blocks of at most 255 bytes
+    const data=lzwEncode(indices,8);
+    const blocks=new Uint8Array(data.length+Math.ceil(data.length/255)+1);
+    let at=0;
+    for (let i=0;i<data.length;i+=255){
+        const size=Math.min(255,data.length-i);
+        blocks[at++]=size;
+        blocks.set(data.subarray(i,i+size),at);
+        at+=size;
+    }
+    blocks[at]=0x00; // Block terminator
+    gif.chunks.push(blocks);
+}
+
+/**
+ * Finishes the animation.
+ * @param {object} gif - The state from createGif.
+ * @returns {Uint8Array[]} The file's bytes in pieces, ready for new Blob(...).
+ */
+export function finishGif(gif){
+    gif.chunks.push(Uint8Array.of(0x3b)); // Trailer
+    return gif.chunks;
+}
+
+/**
+ * Reduces a frame to 256 colors. Colors are bucketed at 5 bits per
+ * channel; the 256 fullest buckets become the palette and every other
+ * bucket maps to its nearest palette color.
+ * @param {Uint8ClampedArray} rgba - The frame's pixels.
+ * @returns {{palette:Uint8Array,indices:Uint8Array}} 256 RGB triples and one index per pixel.
+ */
+function quantize(rgba){
+    const pixels=rgba.length/4;
+    const counts=new Uint32Array(32768);
+    const sums=new Uint32Array(32768*3);
+    const keys=new Uint16Array(pixels);
+    for (let p=0;p<pixels;p++){
+        const r=rgba[p*4],g=rgba[p*4+1],b=rgba[p*4+2];
+        const key=(r>>3)<<10 | (g>>3)<<5 | (b>>3);
+        keys[p]=key;
+        counts[key]++;
+        sums[key*3]+=r;
+        sums[key*3+1]+=g;
+        sums[key*3+2]+=b;
+    }
+
+    const used=[];
+    for (let key=0;key<32768;key++) if (counts[key]>0) used.push(key);
+    used.sort((a,b) => counts[b]-counts[a]);
+    const chosen=used.slice(0,256);
+
+    const palette=new Uint8Array(256*3);
+    const lookup=new Int16Array(32768).fill(-1);
+    chosen.forEach((key,i) => {
+        for (let c=0;c<3;c++) palette[i*3+c]=Math.round(sums[key*3+c]/counts[key]);
+        lookup[key]=i;
+    });
+
+    const indices=new Uint8Array(pixels);
+    for (let p=0;p<pixels;p++){
+        const key=keys[p];
+        if (lookup[key]<0) lookup[key]=nearest(palette,chosen.length,key);
+        indices[p]=lookup[key];
+    }
+    return {palette,indices};
+}
+
+/**
+ * Finds the palette color closest to a color bucket.
+ * @param {Uint8Array} palette - RGB triples.
+ * @param {number} size - How many palette entries are in use.
+ * @param {number} key - The bucket (5 bits per channel).
+ * @returns {number} The palette index.
+ */
+function nearest(palette,size,key){
+    const r=(key>>10)<<3 | 4,g=(key>>5 & 31)<<3 | 4,b=(key & 31)<<3 | 4;
+    let best=0;
+    let bestDistance=Infinity;
+    for (let i=0;i<size;i++){
+        const dr=palette[i*3]-r,dg=palette[i*3+1]-g,db=palette[i*3+2]-b;
+        const distance=dr*dr+dg*dg+db*db;
+        if (distance<bestDistance){
+            best=i;
+            bestDistance=distance;
+        }
+    }
+    return best;
+}
+
+/**
+ * Compresses palette indices with GIF's variable-width LZW.
+ * @param {Uint8Array} indices - One palette index per pixel.
+ * @param {number} minCodeSize - Bits per palette index (8 for 256 colors).
+ * @returns {Uint8Array} The packed codes.
+ */
+function lzwEncode(indices,minCodeSize){
+    const clearCode=1<<minCodeSize;
+    const endCode=clearCode+1;
+    const out=new Uint8Array(indices.length*2+16);
+    let length=0;
+    let buffer=0;
+    let bits=0;
+    let codeSize=minCodeSize+1;
+    let nextCode=endCode+1;
+    let table=new Map();
+
+    const emit=(code) => {
+        buffer|=code<<bits;
+        bits+=codeSize;
+        while (bits>=8){
+            out[length++]=buffer & 0xff;
+            buffer>>>=8;
+            bits-=8;
+        }
+    };
+
+    emit(clearCode);
+    let prefix=indices[0];
+    for (let i=1;i<indices.length;i++){
+        const k=indices[i];
+        const key=prefix<<8 | k;
+        const code=table.get(key);
+        if (code!==undefined){
+            prefix=code;
+            continue;
+        }
+        emit(prefix);
+        if (nextCode===MAX_CODE){
+            // Table full: start over
+            emit(clearCode);
+            table=new Map();
+            codeSize=minCodeSize+1;
+            nextCode=endCode+1;
+        } else {
+            if (nextCode>=1<<codeSize) codeSize++;
+            table.set(key,nextCode++);
+        }
+        prefix=k;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bits>0) out[length++]=buffer & 0xff;
+    return out.subarray(0,length);
+}
+
+/**
+ * Splits a number into two little-endian bytes.
+ * @param {number} n - A value from 0 to 65535.
+ * @returns {number[]} The two bytes.
+ */
+function word(n){
+    return [n & 0xff,(n>>8) & 0xff];
+}
+
+/**
+ * Turns a plain-ASCII string into bytes.
+ * @param {string} text - The text.
+ * @returns {number[]} One byte per character.
+ */
+function ascii(text){
+    return [...text].map(c => c.charCodeAt(0));
+}
@@ -0,0 +1,224 @@
+/* * -----------------------------------------------------------------
+ * grid.js
+ * -----------------------------------------------------------------
+ * This file holds the textbook-style frame/time grid: one column
+ * per reference, one row per frame and a fault marker under each
+ * column. It is built from a controller's stateHistory and can be
+ * rendered as HTML (on the page or as a file) or onto a canvas.
+ * -----------------------------------------------------------------
+ */
+
+import { escapeHtml } from './formatters.js';
+
+// Columns the on-page grid shows at most; the HTML export always holds the whole string
+export const GRID_WINDOW=40;
+
+// Columns the PNG export holds at most: 40px each keeps it well inside the canvas width browsers allow
+export const GRID_PNG_COLUMNS=400;
+
+/**
+ * Picks the columns the on-page grid shows: the whole string if it is
+ * short, otherwise a window that keeps the current column in view.
+ * @param {number} total - The length of the page string.
+ * @param {number} processed - How many references have been processed so far.
+ * @param {number} [size] - The most columns to show.
+ * @returns {{first:number,last:number}} The first and last reference shown.
+ */
+export function gridRange(total,processed,size=GRID_WINDOW){
+    if (total<=size) return {first:0,last:total-1};
+    const first=Math.max(0,Math.min(processed-Math.floor(size*3/4),total-size));
+    return {first,last:first+size-1};
+}
+
+/**
+ * Builds the grid contents from the state history.
+ * @param {StateHistory} history - The controller's stateHistory (see history.js).
+ * @param {number[]} pageString - The array of page requests.
+ * @param {boolean[]} writes - One flag per reference, true for writes.
+ * @param {number} numFrames - The number of physical memory frames.
+ * @param {number} processed - How many references have been processed so far.
+ * @param {{first:number,last:number}} [range] - Only build the columns of these
+ *                                             references (long strings on the page).
+ * @returns {{numFrames:number,columns:object[],current:number,first:number,total:number}}
+ *          One column per reference in the range (frames is null until it is
+ *          processed), the index of the column processed last, the reference
+ *          the first column stands for and the length of the whole string.
+ */
+export function buildGridModel(history,pageString,writes,numFrames,processed,range={first:0,last:pageString.length-1}){
+    const first=Math.max(0,range.first);
+    const columns=pageString.slice(first,range.last+1).map((page,c) => {
+        const i=first+c;
+        const column={page,write:writes[i],frames:null,event:null,replacedFrameIndex:-1,writeBack:false};
+        const state=i<processed?history.at(i+1):undefined;
+        if (state){
+            // Working Set / PFF hold fewer frames at times; pad to the full height
+            column.frames=Array.from({length:numFrames},(_,f) => state.frames[f] ?? null);
+            column.event=state.lastEvent.type;
+            column.replacedFrameIndex=state.lastEvent.replacedFrameIndex;
+            column.writeBack=state.lastEvent.writeBack;
+            column.hitFrameIndex=column.event==='HIT'?state.frames.indexOf(page):-1;
+        }
+        return column;
+    });
+    return {numFrames,columns,current:processed-1-first,first,total:pageString.length};
+}
+
+/**
+ * Renders the grid as an HTML table string.
+ * @param {object} model - The result of buildGridModel.
+ * @returns {string} The table markup.
+ */
+export function renderGridHtml(model){
+    const rows=[];
+
+    // Header: the reference string
+    let head='<tr><th>Reference</th>';
+    model.columns.forEach((col,i) => {
+        const cls=i===model.current?' class="grid-current"':'';
+        head+=`<th${cls}>${col.page}${col.write?'<sub>w</sub>':''}</th>`;
+    });
+    rows.push(head+'</tr>');
+
+    // One row per frame
+    for (let f=0;f<model.numFrames;f++){
+        let row=`<tr><th>Frame ${f}</th>`;
+        model.columns.forEach((col,i) => {
+            if (!col.frames){
+                row+='<td class="grid-pending"></td>';
+                return;
+            }
+            const page=col.frames[f];
+            let cls='';
+            if (col.event==='FAULT' && col.replacedFrameIndex===f) cls=i===model.current?'grid-replaced grid-current':'grid-replaced';
+            else if (col.event==='HIT' && col.hitFrameIndex===f) cls='grid-hit';
+            row+=`<td${cls?` class="${cls}"`:''}>${page===null?'':page}</td>`;
+        });
+        rows.push(row+'</tr>');
+    }
+
+    // Fault markers
+    let faults='<tr class="grid-faults"><th>Fault</th>';
+    model.columns.forEach(col => {
+        faults+=`<td>${col.event==='FAULT'?'F':''}${col.writeBack?'<sub>wb</sub>':''}</td>`;
+    });
+    rows.push(faults+'</tr>');
+
+    // Say which part of a long string is shown
+    const last=model.first+model.columns.length;
+    const caption=model.columns.length<model.total?`<caption>References ${model.first+1}–${last} of ${model.total}</caption>`:'';
+    return `<table class="frame-grid">${caption}${rows.join('')}</table>`;
+}
+
+/**
+ * Wraps the grid in a standalone HTML document for download.
+ * @param {object} model - The result of buildGridModel.
+ * @param {string} title - The heading shown above the grid (plain text, escaped here).
+ * @returns {string} The complete HTML document.
+ */
+export function gridHtmlDocument(model,title){
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>
+    body { font-family: Inter, Arial, sans-serif; color: #334155; padding: 2rem; }
+    h1 { font-size: 1.25rem; color: #1e293b; }
+    .frame-grid { border-collapse: collapse; font-size: 0.9rem; }
+    .frame-grid th, .frame-grid td { border: 1px solid #cbd5e1; min-width: 2rem; padding: 0.3rem 0.5rem; text-align: center; }
+    .frame-grid th { background: #f1f5f9; }
+    .frame-grid .grid-hit { background: #dcfce7; }
+    .frame-grid .grid-replaced { background: #fee2e2; }
+    .frame-grid .grid-current { outline: 2px solid #ef4444; outline-offset: -2px; }
+    .frame-grid .grid-faults td { color: #dc2626; font-weight: 700; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${renderGridHtml(model)}
+</body>
+</html>
+`;
+}
+
+/**
+ * Draws the grid onto a new canvas (used for the PNG export).
+ * @param {object} model - The result of buildGridModel.
+ * @returns {HTMLCanvasElement} The canvas with the grid drawn on it.
+ */
+export function drawGridCanvas(model){
+    const cellW=40;
+    const cellH=32;
+    const headW=90;
+    const pad=20;
+    const rowCount=model.numFrames+2; // Reference row + frames + fault row
+    const partial=model.columns.length<model.total;
+    const captionH=partial?28:0; // Says which part of a long string is shown
+
+    const canvas=document.createElement('canvas');
+    canvas.width=pad*2+headW+model.columns.length*cellW;
+    canvas.height=pad*2+captionH+rowCount*cellH;
+    const ctx=canvas.getContext('2d');
+
+    ctx.fillStyle="#ffffff";
+    ctx.fillRect(0,0,canvas.width,canvas.height);
+    ctx.textAlign="center";
+    ctx.textBaseline="middle";
+    ctx.lineWidth=1;
+
+    // Draws one cell with a background, border and text
+    const cell=(x,y,w,text,fill,color,bold) => {
+        ctx.fillStyle=fill;
+        ctx.fillRect(x,y,w,cellH);
+        ctx.strokeStyle="#cbd5e1";
+        ctx.strokeRect(x,y,w,cellH);
+        ctx.font=`${bold?'bold ':''}14px Inter`;
+        ctx.fillStyle=color;
+        ctx.fillText(text,x+w/2,y+cellH/2);
+    };
+
+    const rowY=(r) => pad+captionH+r*cellH;
+    const colX=(c) => pad+headW+c*cellW;
+
+    if (partial){
+        ctx.textAlign="left";
+        ctx.font="14px Inter";
+        ctx.fillStyle="#334155";
+        ctx.fillText(`References ${model.first+1}–${model.first+model.columns.length} of ${model.total}`,pad,pad+captionH/2-4);
+        ctx.textAlign="center";
+    }
+
+    // 1.Row headers
+    cell(pad,rowY(0),headW,"Reference","#f1f5f9","#1e293b",true);
+    for (let f=0;f<model.numFrames;f++){
+        cell(pad,rowY(f+1),headW,`Frame ${f}`,"#f1f5f9","#1e293b",true);
+    }
+    cell(pad,rowY(rowCount-1),headW,"Fault","#f1f5f9","#1e293b",true);
+
+    // 2.Columns
+    model.columns.forEach((col,i) => {
+        cell(colX(i),rowY(0),cellW,`${col.page}${col.write?'w':''}`,"#f1f5f9","#1e293b",true);
+        for (let f=0;f<model.numFrames;f++){
+            let fill="#ffffff";
+            let text='';
+            if (col.frames){
+                text=col.frames[f]===null?'':col.frames[f];
+                if (col.event==='FAULT' && col.replacedFrameIndex===f) fill="#fee2e2";
+                else if (col.event==='HIT' && col.hitFrameIndex===f) fill="#dcfce7";
+            } else {
+                fill="#f8fafc";
+            }
+            cell(colX(i),rowY(f+1),cellW,text,fill,"#1e293b",false);
+        }
+        cell(colX(i),rowY(rowCount-1),cellW,col.event==='FAULT'?'F':'',"#ffffff","#dc2626",true);
+    });
+
+    // 3.Outline the just-replaced cell
+    const current=model.columns[model.current];
+    if (current && current.event==='FAULT'){
+        ctx.strokeStyle="#ef4444";
+        ctx.lineWidth=2;
+        ctx.strokeRect(colX(model.current)+1,rowY(current.replacedFrameIndex+1)+1,cellW-2,cellH-2);
+    }
+    return canvas;
+}
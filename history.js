@@ -0,0 +1,137 @@
+/* * -----------------------------------------------------------------
+ * history.js
+ * -----------------------------------------------------------------
+ * This file holds the step history behind Step Back and the
+ * timeline. Instead of a full copy of every state, it keeps a full
+ * checkpoint every few steps and, in between, only what changed
+ * since the step before, so long reference strings stay small.
+ * -----------------------------------------------------------------
+ */
+
+// Steps between two full checkpoints; reading a state replays at most this many changes
+export const CHECKPOINT_INTERVAL=64;
+
+// Checkpoint-plus-delta store of simulation states
+export class StateHistory{
+
+    /**
+     * @param {number} [interval] - Steps between two full checkpoints.
+     */
+    constructor(interval=CHECKPOINT_INTERVAL) {
+        this.interval=interval;
+        this.entries=[];   // JSON text: a full state at every checkpoint, a patch otherwise
+        this.last=null;    // The newest state, to diff the next one against
+        this.cache=null;   // The state read last, so reading forward is cheap
+    }
+
+    get length(){
+        return this.entries.length;
+    }
+
+    /**
+     * Adds a state at the end. Drawing coordinates are not stored.
+     * @param {object} state - The state (not modified).
+     */
+    push(state){
+        const {coords,...rest}=state;
+        const plain=JSON.parse(JSON.stringify(rest));
+        if (this.entries.length%this.interval===0) this.entries.push(JSON.stringify(plain));
+        else this.entries.push(JSON.stringify(diff(this.last,plain) || {}));
+        this.last=plain;
+    }
+
+    /**
+     * Rebuilds a stored state.
+     * @param {number} index - Position in the history (negative counts from the end).
+     * @returns {object|undefined} A fresh copy of the state (without coords),
+     *          or undefined if there is no such position.
+     */
+    at(index){
+        if (index<0) index+=this.entries.length;
+        if (index<0 || index>=this.entries.length) return undefined;
+
+        // Start from the cached state if it lies between the checkpoint and the target
+        const checkpoint=index-index%this.interval;
+        let state;
+        let at;
+        if (this.cache && this.cache.index>=checkpoint && this.cache.index<=index){
+            state=JSON.parse(JSON.stringify(this.cache.state));
+            at=this.cache.index;
+        } else {
+            state=JSON.parse(this.entries[checkpoint]);
+            at=checkpoint;
+        }
+        while (at<index){
+            at++;
+            applyPatch(state,JSON.parse(this.entries[at]));
+        }
+        this.cache={index,state};
+        return JSON.parse(JSON.stringify(state));
+    }
+
+    /**
+     * Rebuilds a run of stored states.
+     * @param {number} [start] - First position.
+     * @param {number} [end] - Position after the last one.
+     * @returns {object[]} Fresh copies of the states.
+     */
+    slice(start=0,end=this.entries.length){
+        const states=[];
+        for (let i=start;i<Math.min(end,this.entries.length);i++) states.push(this.at(i));
+        return states;
+    }
+}
+
+/**
+ * Describes how to turn one JSON value into another. A patch is an
+ * object keyed like the value: [v] sets a key to v, [] deletes it and
+ * a nested object patches it. Arrays also get a "length" entry when
+ * they grow or shrink.
+ * @param {*} prev - The old value.
+ * @param {*} next - The new value.
+ * @returns {object|undefined} The patch, or undefined if nothing changed.
+ */
+function diff(prev,next){
+    if (!isContainer(prev) || !isContainer(next) || Array.isArray(prev)!==Array.isArray(next)) return undefined;
+    const patch={};
+    let changed=false;
+    for (const key of Object.keys(next)){
+        if (prev[key]===next[key]) continue;
+        const nested=diff(prev[key],next[key]);
+        if (nested) patch[key]=nested;
+        else if (!isContainer(prev[key]) || !isContainer(next[key]) || Array.isArray(prev[key])!==Array.isArray(next[key])) patch[key]=[next[key]];
+        else continue; // Same contents
+        changed=true;
+    }
+    if (Array.isArray(next)){
+        if (prev.length!==next.length){
+            patch.length=[next.length];
+            changed=true;
+        }
+    } else {
+        for (const key of Object.keys(prev)){
+            if (key in next) continue;
+            patch[key]=[];
+            changed=true;
+        }
+    }
+    return changed?patch:undefined;
+}
+
+/**
+ * Applies a patch from diff in place.
+ * @param {object} target - The old value (modified).
+ * @param {object} patch - The changes.
+ */
+function applyPatch(target,patch){
+    for (const [key,change] of Object.entries(patch)){
+        if (!Array.isArray(change)) applyPatch(target[key],change);
+        else if (change.length===0) delete target[key];
+        else target[key]=change[0];
+    }
+}
+
+// True for objects and arrays
+function isContainer(value){
+    return value!==null && typeof value==='object';
+}
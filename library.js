@@ -0,0 +1,227 @@
+/* * -----------------------------------------------------------------
+ * library.js
+ * -----------------------------------------------------------------
+ * This file holds the scenario library: named scenarios (the same
+ * settings a permalink carries) kept in localStorage, a read-only
+ * set of textbook examples, and the JSON file the whole library
+ * is exported to and imported from. The functions return new
+ * lists; only loadLibrary and saveLibrary touch the storage.
+ * -----------------------------------------------------------------
+ */
+
+// Import the scenario check shared with permalinks
+import { checkScenario } from './scenario.js';
+
+// localStorage key the user's scenarios are kept under
+export const STORAGE_KEY='os-visualizer-scenarios';
+
+// Marks an exported library file
+const FILE_FORMAT='os-visualizer-scenarios';
+const FILE_VERSION=1;
+
+// Longest scenario name we accept
+const MAX_NAME_LENGTH=60;
+
+// Reference string used throughout Silberschatz's chapter on virtual memory
+const SILBERSCHATZ='7, 0, 1, 2, 0, 3, 0, 4, 2, 3, 0, 3, 0, 3, 2, 1, 2, 0, 1, 7, 0, 1';
+
+// Read-only classic examples shipped with the visualizer
+export const TEXTBOOK_SCENARIOS=[
+    {
+        name:'Default string (FIFO, 3 frames)',
+        scenario:{algo:'fifo',frames:'3',pages:'7, 0, 1, 2, 0, 3, 0, 4, 2, 3, 0, 3, 2'}
+    },
+    {
+        name:'Silberschatz FIFO (3 frames, 15 faults)',
+        scenario:{algo:'fifo',frames:'3',pages:SILBERSCHATZ}
+    },
+    {
+        name:'Silberschatz LRU (3 frames, 12 faults)',
+        scenario:{algo:'lru',frames:'3',pages:SILBERSCHATZ}
+    },
+    {
+        name:'Silberschatz Optimal (3 frames, 9 faults)',
+        scenario:{algo:'optimal',frames:'3',pages:SILBERSCHATZ}
+    },
+    {
+        name:"Belady's anomaly (FIFO, 3 frames, 9 faults)",
+        scenario:{algo:'fifo',frames:'3',pages:'1, 2, 3, 4, 1, 2, 5, 1, 2, 3, 4, 5'}
+    },
+    {
+        name:"Belady's anomaly (FIFO, 4 frames, 10 faults)",
+        scenario:{algo:'fifo',frames:'4',pages:'1, 2, 3, 4, 1, 2, 5, 1, 2, 3, 4, 5'}
+    },
+    {
+        name:'Second chance (Clock, 3 frames)',
+        scenario:{algo:'clock',frames:'3',pages:SILBERSCHATZ}
+    }
+];
+
+/**
+ * Reads the user's scenarios. A missing or corrupt entry gives an
+ * empty library, and scenarios that no longer pass the check are dropped.
+ * @param {Storage} storage - Usually window.localStorage.
+ * @returns {{name:string,scenario:object}[]} The saved scenarios.
+ */
+export function loadLibrary(storage){
+    let entries;
+    try {
+        entries=JSON.parse(storage.getItem(STORAGE_KEY) || '[]');
+    } catch (err){
+        return [];
+    }
+    if (!Array.isArray(entries)) return [];
+    return entries.filter(entry => {
+        try {
+            checkEntry(entry);
+            return true;
+        } catch (err){
+            return false;
+        }
+    });
+}
+
+/**
+ * Writes the user's scenarios.
+ * @param {Storage} storage - Usually window.localStorage.
+ * @param {{name:string,scenario:object}[]} entries - The scenarios.
+ * @throws {Error} If the browser refuses to store them (full or disabled).
+ */
+export function saveLibrary(storage,entries){
+    try {
+        storage.setItem(STORAGE_KEY,JSON.stringify(entries));
+    } catch (err){
+        throw new Error('Could not save the scenario library (browser storage is full or disabled).');
+    }
+}
+
+/**
+ * Adds a scenario, replacing a saved one with the same name.
+ * @param {{name:string,scenario:object}[]} entries - The saved scenarios.
+ * @param {string} name - The name to save under.
+ * @param {object} scenario - The settings (see scenario.js for the field names).
+ * @returns {{name:string,scenario:object}[]} The new list, sorted by name.
+ * @throws {Error} If the name is empty, too long or taken by a textbook example.
+ */
+export function saveScenario(entries,name,scenario){
+    const entry={name:checkName(name),scenario:cleanScenario(scenario)};
+    checkEntry(entry);
+    return sortByName([...entries.filter(e => e.name!==entry.name),entry]);
+}
+
+/**
+ * Renames a saved scenario.
+ * @param {{name:string,scenario:object}[]} entries - The saved scenarios.
+ * @param {string} oldName - The current name.
+ * @param {string} newName - The new name.
+ * @returns {{name:string,scenario:object}[]} The new list, sorted by name.
+ * @throws {Error} If the scenario is missing or the new name is invalid or taken.
+ */
+export function renameScenario(entries,oldName,newName){
+    const name=checkName(newName);
+    if (!entries.some(e => e.name===oldName)) throw new Error(`There is no saved scenario called "${oldName}".`);
+    if (name!==oldName && entries.some(e => e.name===name)) throw new Error(`There is already a scenario called "${name}".`);
+    return sortByName(entries.map(e => e.name===oldName?{...e,name}:e));
+}
+
+/**
+ * Deletes a saved scenario.
+ * @param {{name:string,scenario:object}[]} entries - The saved scenarios.
+ * @param {string} name - The name of the scenario to delete.
+ * @returns {{name:string,scenario:object}[]} The new list.
+ */
+export function deleteScenario(entries,name){
+    return entries.filter(e => e.name!==name);
+}
+
+/**
+ * Turns the saved scenarios into the text of a library file.
+ * @param {{name:string,scenario:object}[]} entries - The saved scenarios.
+ * @returns {string} Pretty-printed JSON.
+ */
+export function exportLibrary(entries){
+    return JSON.stringify({format:FILE_FORMAT,version:FILE_VERSION,scenarios:entries},null,2);
+}
+
+/**
+ * Merges a library file into the saved scenarios. Imported scenarios
+ * replace saved ones with the same name. Nothing is imported if any
+ * scenario in the file is invalid.
+ * @param {{name:string,scenario:object}[]} entries - The saved scenarios.
+ * @param {string} text - The contents of the library file.
+ * @returns {{entries:{name:string,scenario:object}[],count:number}} The new list and how many were imported.
+ * @throws {Error} If the file is not a library file or holds an invalid scenario.
+ */
+export function importLibrary(entries,text){
+    let file;
+    try {
+        file=JSON.parse(text);
+    } catch (err){
+        throw new Error('This file is not valid JSON.');
+    }
+    if (!file || file.format!==FILE_FORMAT || !Array.isArray(file.scenarios)){
+        throw new Error('This file is not a scenario library exported by this visualizer.');
+    }
+    if (file.version!==FILE_VERSION) throw new Error(`Unsupported library version: ${file.version}.`);
+
+    const imported=file.scenarios.map((entry,i) => {
+        if (!entry || typeof entry.name!=='string') throw new Error(`Scenario ${i+1} in the file has no name.`);
+        const clean={name:checkName(entry.name),scenario:entry.scenario};
+        checkEntry(clean);
+        return clean;
+    });
+    const names=new Set(imported.map(e => e.name));
+    if (names.size<imported.length) throw new Error('The file holds two scenarios with the same name.');
+
+    return {
+        entries:sortByName([...entries.filter(e => !names.has(e.name)),...imported]),
+        count:imported.length
+    };
+}
+
+/**
+ * Trims a scenario name and checks it can be used.
+ * @param {string} name - The name typed by the user.
+ * @returns {string} The trimmed name.
+ * @throws {Error} If the name is empty, too long or taken by a textbook example.
+ */
+function checkName(name){
+    const trimmed=name.trim();
+    if (trimmed.length===0) throw new Error('Please enter a name for the scenario.');
+    if (trimmed.length>MAX_NAME_LENGTH) throw new Error(`Scenario names can be at most ${MAX_NAME_LENGTH} characters.`);
+    if (TEXTBOOK_SCENARIOS.some(e => e.name===trimmed)) throw new Error(`"${trimmed}" is a built-in example; please choose another name.`);
+    return trimmed;
+}
+
+/**
+ * Checks one saved scenario.
+ * @param {{name:string,scenario:object}} entry - The entry to check.
+ * @throws {Error} If the name or the scenario is missing or invalid.
+ */
+function checkEntry(entry){
+    if (!entry || typeof entry.name!=='string') throw new Error('A saved scenario has no name.');
+    if (!entry.scenario || typeof entry.scenario!=='object') throw new Error(`Scenario "${entry.name}" has no settings.`);
+    checkScenario(entry.scenario,`Scenario "${entry.name}"`);
+}
+
+/**
+ * Drops empty fields and turns values into strings, as in a link.
+ * @param {object} scenario - The settings read from the form.
+ * @returns {object} The cleaned settings.
+ */
+function cleanScenario(scenario){
+    const clean={};
+    for (const [key,value] of Object.entries(scenario)){
+        if (value!==undefined && value!==null && value!=='') clean[key]=String(value);
+    }
+    return clean;
+}
+
+/**
+ * Sorts scenarios by name.
+ * @param {{name:string}[]} entries - The scenarios.
+ * @returns {{name:string}[]} The same array, sorted.
+ */
+function sortByName(entries){
+    return entries.sort((a,b) => a.name.localeCompare(b.name));
+}
@@ -9,25 +9,111 @@
 
 // Import the main simulation class
 import {SimulationController} from './simulation.js';
+import {parsePageString,parseAddressString,addressesToPages,formatPageString,isVariableAllocation,isAdaptivePolicy,checkVariableSettings} from './engine.js';
+import {GENERATORS,generateReferenceString} from './generators.js';
+import {randomSeed} from './random.js';
+import {effectiveAccessTime} from './tlb.js';
+import {encodeScenario,decodeScenario,MAX_HASH_LENGTH} from './scenario.js';
+import {parseBreakpoint,matchesBreakpoint} from './breakpoints.js';
+import {gradePrediction,summarizeQuiz,quizCode} from './quiz.js';
+import {RECORDING_FORMATS,canRecordWebm,recordRun} from './recorder.js';
+import {TEXTBOOK_SCENARIOS,loadLibrary,saveLibrary,saveScenario,renameScenario,deleteScenario,exportLibrary,importLibrary} from './library.js';
+import {POLICY_TEMPLATE,DEFAULT_STEP_TIMEOUT,isCustomPolicy,policyKey,loadPolicies,savePolicies,registerPolicy,deletePolicy,runPolicy,testPolicy} from './policies.js';
+import {parseTrace,describeTraceErrors} from './traces.js';
+import {ComparisonController} from './comparison.js';
+import {MultiProcessController} from './multiprocess.js';
+import {parseProcessList,PROCESS_COLORS} from './processes.js';
+import {sweepFrameCounts,findAnomalies,drawFaultChart,KNOWN_ANOMALY_STRINGS,lruStackDistances,optStackDistances,faultCurve,checkInclusion,drawMissRatioChart} from './analysis.js';
+import {GRID_PNG_COLUMNS,buildGridModel,gridRange,renderGridHtml,gridHtmlDocument,drawGridCanvas} from './grid.js';
+import {formatCsv,formatHtml} from './formatters.js';
+import {DEFAULT_RATE_WINDOW,createChartData,extendChartData,renderCharts,chartsSvgDocument} from './charts.js';
 
 // Wait for the DOM to be fully loaded before running
 document.addEventListener('DOMContentLoaded',() => {
 
     // 1.Global State
-    let sim=null;             // The simulation controller instance
+    let sim=null;             // The simulation (or comparison) controller instance
     let anmFrId=null; // ID for requestAnimationFrame
     let isPlaying=false;      // Is the animation running?
     let lastStepTime=0;       // For controlling animation speed
     let anmSpd=2;     // Steps per second
+    let gridStep=-1;          // Step the grid view was last rendered for
+    let chartStep=-1;         // Step the charts were last rendered for
+    let chartEvents=[];       // Event of every reference read so far, for the charts
+    let chartData=null;       // Chart series up to the last rendered step, grown as the simulation moves on
+    let pgStrSource=null;     // Describes where the page string came from (generator or trace)
+    let latencies=null;       // TLB, memory and fault-service times for the effective access time
+    let procStep=-1;          // Step the per-process table was last rendered for
+    let scenario=null;        // Settings of the running simulation, for the permalink
+    let linkStep=-1;          // Step the permalink was last written for
+    let alertUntil=0;         // Time until which an alert keeps the status box
+    let library=[];           // The user's saved scenarios
+    let policies=[];          // The user's registered replacement policies
+    let recording=null;       // AbortController of the recording in progress
+    let breakpoints=[];       // Conditions that pause Play (see breakpoints.js)
+    let quiz=null;            // Quiz mode: {code,answers}, null when off
+    let quizStep=-1;          // Step the quiz panel was last rendered for
+    let lruFaults=null;       // LRU's faults after every reference of the same string (ARC, 2Q, LRU-K)
 
     // 2.DOM Element References
     
     // Setup Panel
     const setupPanel=document.getElementById('setup-section');
     const algoSelect=document.getElementById('algorithm-select');
+    const tieBrkGroup=document.getElementById('tie-breaker-group');
+    const tieBrkSelect=document.getElementById('tie-breaker-select');
     const numFrIp=document.getElementById('num-frames');
+    const wsGroup=document.getElementById('ws-group');
+    const pffGroup=document.getElementById('pff-group');
+    const lruKGroup=document.getElementById('lru-k-group');
     const pgStrIp=document.getElementById('page-string');
     const startBtn=document.getElementById('btn-start');
+    const genPanel=document.getElementById('generator-panel');
+    const genType=document.getElementById('gen-type');
+    const genBtn=document.getElementById('btn-generate');
+    const genSeedIp=document.getElementById('gen-seed');
+    const traceFileIp=document.getElementById('trace-file');
+    const tracePgSizeIp=document.getElementById('trace-page-size');
+    const traceCollapseChk=document.getElementById('trace-collapse');
+    const traceBtn=document.getElementById('btn-import-trace');
+    const addrModeChk=document.getElementById('address-mode');
+    const addrGroup=document.getElementById('address-mode-group');
+    const addrPgSizeIp=document.getElementById('addr-page-size');
+    const cmpModeChk=document.getElementById('compare-mode');
+    const cmpAlgoList=document.getElementById('compare-algorithms');
+    const mpModeChk=document.getElementById('multi-process-mode');
+    const mpGroup=document.getElementById('multi-process-group');
+    const mpListIp=document.getElementById('process-list');
+    const mpScheduleSelect=document.getElementById('mp-schedule');
+    const mpQuantumGroup=document.getElementById('mp-quantum-group');
+    const mpOrderGroup=document.getElementById('mp-order-group');
+    const mpScopeSelect=document.getElementById('mp-scope');
+    const mpAllocGroup=document.getElementById('mp-allocation-group');
+    const tlbModeChk=document.getElementById('tlb-mode');
+    const tlbGroup=document.getElementById('tlb-group');
+    const tlbPolicySelect=document.getElementById('tlb-policy');
+    const tlbSeedGroup=document.getElementById('tlb-seed-group');
+
+    // Scenario Library
+    const librarySelect=document.getElementById('library-select');
+    const libraryNameIp=document.getElementById('library-name');
+    const libraryFileIp=document.getElementById('library-file');
+    const libraryLoadBtn=document.getElementById('btn-library-load');
+    const libraryRenameBtn=document.getElementById('btn-library-rename');
+    const libraryDeleteBtn=document.getElementById('btn-library-delete');
+    const librarySaveBtn=document.getElementById('btn-library-save');
+    const libraryImportBtn=document.getElementById('btn-library-import');
+    const libraryExportBtn=document.getElementById('btn-library-export');
+
+    // Custom Policies
+    const policySelect=document.getElementById('policy-select');
+    const policyEditBtn=document.getElementById('btn-policy-edit');
+    const policyDeleteBtn=document.getElementById('btn-policy-delete');
+    const policyNameIp=document.getElementById('policy-name');
+    const policySourceIp=document.getElementById('policy-source');
+    const policyTimeoutIp=document.getElementById('policy-timeout');
+    const policyRegBtn=document.getElementById('btn-policy-register');
+    const policyStatus=document.getElementById('policy-status');
 
     // Controls Panel
     const anmSec=document.getElementById('animation-section');
@@ -36,21 +122,84 @@ document.addEventListener('DOMContentLoaded',() => {
     const prevBtn=document.getElementById('btn-step-back');
     const nextBtn=document.getElementById('btn-step-forward');
     const spdControl=document.getElementById('speed-slider');
+    const explainChk=document.getElementById('explain-mode');
+    const quizChk=document.getElementById('quiz-mode');
     const resetBtn=document.getElementById('btn-reset');
+    const timeline=document.getElementById('timeline');
+    const timelineLabel=document.getElementById('timeline-label');
+    const bpInput=document.getElementById('breakpoint-input');
+    const bpAddBtn=document.getElementById('btn-add-breakpoint');
+    const bpList=document.getElementById('breakpoint-list');
+    const bpStatus=document.getElementById('breakpoint-status');
 
     // Export
     const ssBtn=document.getElementById('btn-screenshot');
+    const gridHtmlBtn=document.getElementById('btn-grid-html');
+    const gridPngBtn=document.getElementById('btn-grid-png');
+    const reportHtmlBtn=document.getElementById('btn-report-html');
+    const reportCsvBtn=document.getElementById('btn-report-csv');
+    const chartsSvgBtn=document.getElementById('btn-charts-svg');
+    const copyLinkBtn=document.getElementById('btn-copy-link');
+    const recFormatSelect=document.getElementById('record-format');
+    const recWidthSelect=document.getElementById('record-width');
+    const recSpeedIp=document.getElementById('record-speed');
+    const recordBtn=document.getElementById('btn-record');
+    const recProgress=document.getElementById('record-progress');
+    const recProgressBar=document.getElementById('record-progress-bar');
+    const recProgressText=document.getElementById('record-progress-text');
+    const recCancelBtn=document.getElementById('btn-record-cancel');
+
+    // Belady's Anomaly Explorer
+    const maxFrIp=document.getElementById('max-frames');
+    const exampleGroup=document.getElementById('anomaly-examples-group');
+    const exampleSelect=document.getElementById('anomaly-example-select');
+    const loadExampleBtn=document.getElementById('btn-load-example');
+    const sweepBtn=document.getElementById('btn-run-sweep');
+    const mrcBtn=document.getElementById('btn-run-mrc');
+    const analysisPanel=document.getElementById('analysis-panel');
+    const analysisCanvas=document.getElementById('analysis-canvas');
+    const analysisTitle=document.getElementById('analysis-title');
+    const analysisStatus=document.getElementById('analysis-status');
+    const analysisSummary=document.getElementById('analysis-summary');
 
     // Visualization Panel
     const canvas=document.getElementById('simulation-canvas');
     const eventStatus=document.getElementById('event-status-box');
     const vizTitle=document.getElementById('viz-title');
+    const canvasBox=document.querySelector('#visualization-panel > .canvas-container');
+    const cmpView=document.getElementById('comparison-view');
+    const statsFooter=document.querySelector('.stats-footer');
+    const gridView=document.getElementById('grid-view');
+    const gridBox=document.getElementById('grid-container');
+    const chartView=document.getElementById('chart-view');
+    const chartBox=document.getElementById('chart-container');
+    const chartWindowIp=document.getElementById('chart-window');
+    const quizPanel=document.getElementById('quiz-panel');
+    const quizCodeLabel=document.getElementById('quiz-code');
+    const quizQuestion=document.getElementById('quiz-question');
+    const quizAnswer=document.getElementById('quiz-answer');
+    const quizHitBtn=document.getElementById('btn-quiz-hit');
+    const quizFaultBtn=document.getElementById('btn-quiz-fault');
+    const quizFrames=document.getElementById('quiz-frames');
+    const quizFeedback=document.getElementById('quiz-feedback');
+    const quizScore=document.getElementById('quiz-score');
+    const quizSummary=document.getElementById('quiz-summary');
 
     // Stats Panel
     const statFaults=document.getElementById('stat-faults');
     const statHits=document.getElementById('stat-hits');
     const statSteps=document.getElementById('stat-steps');
     const statHitRatio=document.getElementById('stat-hit-ratio');
+    const statWriteBacks=document.getElementById('stat-write-backs');
+    const statDiskIO=document.getElementById('stat-disk-io');
+    const statTlbRatio=document.getElementById('stat-tlb-ratio');
+    const statEat=document.getElementById('stat-eat');
+    const tlbStats=document.querySelectorAll('.tlb-stat');
+    const lruStats=document.querySelectorAll('.lru-stat');
+    const statLruFaults=document.getElementById('stat-lru-faults');
+    const statLruDiff=document.getElementById('stat-lru-diff');
+    const procStats=document.getElementById('process-stats');
+    const srcInfo=document.getElementById('source-info');
 
 
     // 3.Core Functions
@@ -69,6 +218,7 @@ document.addEventListener('DOMContentLoaded',() => {
                     setPlaying(false);
                 } else {
                     sim.stepForward();
+                    checkBreakpoints();
                 }
             }
         }
@@ -91,9 +241,28 @@ document.addEventListener('DOMContentLoaded',() => {
             statHits.textContent='0';
             statSteps.textContent='0';
             statHitRatio.textContent='0.0%';
+            statWriteBacks.textContent='0';
+            statDiskIO.textContent='0';
+            statTlbRatio.textContent='0.0%';
+            statEat.textContent='0 ns';
+            statLruFaults.textContent='0';
+            statLruDiff.textContent='0';
             eventStatus.textContent='Waiting to start...';
             eventStatus.className='status-box status-idle';
             vizTitle.textContent='Visualization';
+            gridHtmlBtn.disabled=true;
+            gridPngBtn.disabled=true;
+            reportHtmlBtn.disabled=true;
+            reportCsvBtn.disabled=true;
+            chartsSvgBtn.disabled=true;
+            copyLinkBtn.disabled=true;
+            recordBtn.disabled=true;
+            return;
+        }
+        updatePermalink();
+        updateTimeline();
+        if(sim instanceof ComparisonController){
+            updateComparisonUI();
             return;
         }
         const state = sim.currentState;
@@ -105,20 +274,34 @@ document.addEventListener('DOMContentLoaded',() => {
         statSteps.textContent=totalSteps;
         const hitRatio=totalSteps>0?(state.stats.pageHits/totalSteps)*100:0;
         statHitRatio.textContent=`${hitRatio.toFixed(1)}%`;
+        statWriteBacks.textContent=state.stats.writeBacks;
+        // Every fault reads a page in; every write-back writes one out
+        statDiskIO.textContent=state.stats.pageFaults+state.stats.writeBacks;
+        if (state.tlb){
+            const tlbRatio=totalSteps>0?(state.stats.tlbHits/totalSteps)*100:0;
+            statTlbRatio.textContent=`${tlbRatio.toFixed(1)}%`;
+            statEat.textContent=formatNs(effectiveAccessTime(state.stats,latencies));
+        }
+        if (lruFaults){
+            const lru=lruFaults[Math.min(state.pageIndex,lruFaults.length-1)];
+            const diff=state.stats.pageFaults-lru;
+            statLruFaults.textContent=lru;
+            statLruDiff.textContent=diff===0?'±0':`${diff>0?'+':'−'}${Math.abs(diff)}`;
+        }
         
-        // Update Event Status Box
+        // Update Event Status Box (unless an alert is showing)
         const lastEvent=state.lastEvent;
-        switch(lastEvent.type){
+        switch(performance.now()<alertUntil?'ALERT':lastEvent.type){
             case 'START':
                 eventStatus.textContent='Simulation started.';
                 eventStatus.className='status-box status-idle';
                 break;
             case 'HIT':
-                eventStatus.textContent=`Page ${lastEvent.page} HIT`;
+                eventStatus.textContent=`${describeAddress(state)}${describeProcess(lastEvent.pid)}Page ${lastEvent.page}${lastEvent.write?' (write)':''} HIT${describeReleased(lastEvent)}${describeTlb(lastEvent)}`;
                 eventStatus.className='status-box status-hit';
                 break;
             case 'FAULT':
-                eventStatus.textContent = `Page ${lastEvent.page} FAULT${lastEvent.replaced ? ` (Replaced ${lastEvent.replaced})` : ''}`;
+                eventStatus.textContent = `${describeAddress(state)}${describeProcess(lastEvent.pid)}Page ${lastEvent.page}${lastEvent.write ? ' (write)' : ''} FAULT${lastEvent.replaced !== null ? ` (Replaced ${lastEvent.replaced}${describeOwner(lastEvent.replacedPid)}${lastEvent.writeBack ? ', written back' : ''})` : ''}${describeReleased(lastEvent)}${describeTlb(lastEvent)}`;
                 eventStatus.className = 'status-box status-fault';
                 break;
             case 'DONE':
@@ -127,16 +310,346 @@ document.addEventListener('DOMContentLoaded',() => {
                 break;
         }
 
-        // Update Button States
-        playBtn.disabled=isPlaying || sim.isFinished;
-        pauseBtn.disabled=!isPlaying || sim.isFinished;
-        nextBtn.disabled=isPlaying || sim.isFinished;
-        prevBtn.disabled=isPlaying || sim.stateHistory.length<=1;
+        updateButtons();
+        if (sim instanceof MultiProcessController) updateProcessStats();
+        else updateGrid();
+        updateCharts();
+        renderQuiz();
         
         // Update title
         vizTitle.textContent=`Visualization(${algoSelect.options[algoSelect.selectedIndex].text})`;
     }
 
+    // Moves the timeline scrubber to the current step
+    function updateTimeline(){
+        timeline.max=sim.lastStep;
+        timeline.value=sim.cursor;
+        const last=sim.lastStep-1; // References in the string
+        timelineLabel.textContent=sim.isFinished?`Done (${last} of ${last})`:`Step ${sim.cursor} of ${last}`;
+    }
+
+    /**
+     * Pauses Play if the state just reached matches a breakpoint.
+     * In comparison mode a match in any lane pauses all of them.
+     */
+    function checkBreakpoints(){
+        const states=sim instanceof ComparisonController?sim.controllers.map(c => c.currentState):[sim.currentState];
+        const hit=breakpoints.find(bp => states.some(state => matchesBreakpoint(bp,state)));
+        if (!hit) return;
+        setPlaying(false);
+        bpStatus.textContent=`Paused at step ${sim.currentState.pageIndex}: ${hit.label}`;
+    }
+
+    // Lists the breakpoints with a remove button each
+    function renderBreakpoints(){
+        bpList.innerHTML='';
+        breakpoints.forEach((bp,i) => {
+            const item=document.createElement('li');
+            const remove=document.createElement('button');
+            remove.textContent='✕';
+            remove.title='Remove breakpoint';
+            remove.addEventListener('click',() => {
+                breakpoints.splice(i,1);
+                renderBreakpoints();
+            });
+            item.append(bp.label,remove);
+            bpList.appendChild(item);
+        });
+    }
+
+    /**
+     * Writes the scenario and current step into the URL hash when the
+     * simulation has moved. replaceState keeps the back button usable
+     * and does not fire 'hashchange'.
+     */
+    function updatePermalink(){
+        const step=sim.cursor;
+        if (step===linkStep) return;
+        linkStep=step;
+        const hash=encodeScenario(scenario,step);
+        // Scenarios too big to share (e.g. long traces) just get no link, and
+        // neither do custom policies, which only exist in this browser
+        const fits=hash.length<=MAX_HASH_LENGTH && (sim instanceof ComparisonController || !isCustomPolicy(sim.algorithm));
+        history.replaceState(null,'',fits?`#${hash}`:location.pathname+location.search);
+        copyLinkBtn.disabled=!fits;
+    }
+
+    /**
+     * Starts a fresh quiz from the current step when quiz mode is on
+     * (and possible for this simulation), or ends the running one.
+     */
+    function resetQuiz(){
+        const on=sim && quizChk.checked && !quizChk.disabled;
+        quiz=on?{code:quizCode(sim.algorithm,sim.numFrames,sim.pageString,sim.writes,sim.options),answers:[]}:null;
+        quizStep=-1;
+        quizFeedback.textContent='';
+        quizFeedback.className='quiz-feedback';
+        if (quiz) setPlaying(false);
+        renderQuiz();
+    }
+
+    /**
+     * Shows the question for the current step, the score and, once every
+     * reference has been answered, the mistakes by kind.
+     */
+    function renderQuiz(){
+        quizPanel.classList.toggle('hidden',!quiz);
+        if (!quiz) return;
+        const step=sim.cursor;
+        if (step===quizStep) return;
+        quizStep=step;
+
+        const index=sim.currentState.pageIndex;
+        const done=index>=sim.pageString.length;
+        const result=summarizeQuiz(quiz.answers);
+        quizCodeLabel.textContent=`(quiz ${quiz.code})`;
+        quizQuestion.textContent=done?'Every reference has been answered.':`Step ${index+1}: ${describeReference(index)}. Hit or fault?`;
+        quizAnswer.classList.toggle('hidden',done);
+        quizFrames.classList.add('hidden');
+        quizScore.textContent=result.asked>0?`Score: ${result.correct} / ${result.asked} (${Math.round(result.correct/result.asked*100)}%)`:'';
+
+        quizSummary.classList.toggle('hidden',!done);
+        if (!done) return;
+        const title=document.createElement('h3');
+        title.className='stats-title';
+        title.textContent='Mistakes';
+        const list=document.createElement('ul');
+        for (const m of result.mistakes){
+            const item=document.createElement('li');
+            item.textContent=`${m.label}: ${m.steps.length} (step${m.steps.length>1?'s':''} ${m.steps.join(', ')})`;
+            list.appendChild(item);
+        }
+        if (result.mistakes.length===0) list.textContent=result.asked>0?'None. Every prediction was right!':'No predictions were made.';
+        quizSummary.replaceChildren(title,list);
+    }
+
+    /**
+     * Names a reference in a quiz question.
+     * @param {number} index - Position in the page string.
+     * @returns {string} e.g. "page 3 (write)" or, with several processes, "page A:3".
+     */
+    function describeReference(index){
+        const page=sim instanceof MultiProcessController?`${sim.plan.names[sim.plan.refs[index].pid]}:${sim.pageString[index]}`:sim.pageString[index];
+        return `page ${page}${sim.writes[index]?' (write)':''}`;
+    }
+
+    /**
+     * Steps the simulation and grades the prediction against what happened.
+     * @param {{type:string,frame:number|null}} prediction - See gradePrediction.
+     */
+    function submitPrediction(prediction){
+        const index=sim.currentState.pageIndex;
+        const page=describeReference(index);
+        sim.stepForward();
+        const event=sim.currentState.lastEvent;
+        const result=gradePrediction(prediction,event);
+        quiz.answers.push({step:index+1,...result});
+
+        let text;
+        if (event.type==='HIT'){
+            const frame=sim.currentState.frames.indexOf(event.page);
+            text=`It was a hit: ${page} was already in frame ${frame}.`;
+        } else {
+            const victim=event.replaced===null?'an empty frame':`replacing page ${event.replaced}`;
+            const where=`frame ${event.replacedFrameIndex} (${victim})`;
+            if (result.mistake==='wrong-victim') text=`Right, a fault, but ${page} went into ${where}, not frame ${prediction.frame}.`;
+            else text=`It was a fault: ${page} went into ${where}.`;
+        }
+        quizFeedback.textContent=`${result.correct?'✔ Correct!':'✖'} ${text}`;
+        quizFeedback.className=`quiz-feedback ${result.correct?'quiz-correct':'quiz-wrong'}`;
+        updateUI();
+    }
+
+    /**
+     * Re-renders the frame/time grid when the simulation has moved.
+     */
+    function updateGrid(){
+        const step=sim.currentState.pageIndex;
+        if (step===gridStep) return;
+        gridStep=step;
+        // Long strings only show the columns around the current step
+        gridBox.innerHTML=renderGridHtml(getGridModel(gridRange(sim.pageString.length,step)));
+    }
+
+    // Redraws the charts when the simulation has moved (forward or back)
+    function updateCharts(){
+        const step=sim.currentState.pageIndex;
+        if (step===chartStep) return;
+        chartStep=step;
+        const charts=renderCharts(getChartData());
+        chartBox.innerHTML=charts.cumulative+charts.rate+charts.histogram;
+    }
+
+    /**
+     * Builds the chart series for the references processed so far.
+     * @returns {object} The chart data (see charts.js).
+     */
+    function getChartData(){
+        const processed=sim.currentState.pageIndex;
+        // A computed step never changes, so each event is read from the history once
+        for (let i=chartEvents.length;i<processed;i++) chartEvents.push(sim.stateHistory.at(i+1).lastEvent);
+        const size=parseInt(chartWindowIp.value);
+        const rateWindow=size>=1?size:DEFAULT_RATE_WINDOW;
+        // Stepping back or a new window starts the series again; stepping forward only adds the new events
+        if (chartData===null || processed<chartData.cumulative.length || rateWindow!==chartData.window){
+            const names=sim instanceof MultiProcessController?sim.plan.names:undefined;
+            chartData=createChartData(sim.pageString.length,rateWindow,names);
+        }
+        return extendChartData(chartData,chartEvents.slice(chartData.cumulative.length,processed));
+    }
+
+    /**
+     * Builds the grid model for the running simulation.
+     * @param {{first:number,last:number}} [range] - The references to include (default: all).
+     * @returns {object} The grid model (see grid.js).
+     */
+    function getGridModel(range){
+        return buildGridModel(sim.stateHistory,sim.pageString,sim.writes,sim.maxFrames,sim.currentState.pageIndex,range);
+    }
+
+    /**
+     * In address translation mode, names the virtual address of the last reference.
+     * @param {object} state - The current simulation state.
+     * @returns {string} e.g. "VA 0x1A3F → " or an empty string.
+     */
+    function describeAddress(state){
+        if (!sim.addresses) return '';
+        const address=sim.addresses[state.pageIndex-1];
+        return `VA 0x${address.toString(16).toUpperCase()} → `;
+    }
+
+    /**
+     * In multi-process mode, names the process a page belongs to.
+     * @param {number} [pid] - The process index.
+     * @returns {string} e.g. "A: " or an empty string.
+     */
+    function describeProcess(pid){
+        if (!(sim instanceof MultiProcessController) || pid===null || pid===undefined) return '';
+        return `${sim.plan.names[pid]}: `;
+    }
+
+    /**
+     * In multi-process mode, names the owner of an evicted page.
+     * @param {number} [pid] - The process index.
+     * @returns {string} e.g. " of B" or an empty string.
+     */
+    function describeOwner(pid){
+        if (!(sim instanceof MultiProcessController) || pid===null || pid===undefined) return '';
+        return ` of ${sim.plan.names[pid]}`;
+    }
+
+    /**
+     * Re-renders the per-process table when the simulation has moved.
+     */
+    function updateProcessStats(){
+        const state=sim.currentState;
+        if (state.pageIndex===procStep) return;
+        procStep=state.pageIndex;
+
+        const plan=sim.plan;
+        const rows=plan.names.map((name,pid) => {
+            const s=state.processStats[pid];
+            const color=PROCESS_COLORS[pid%PROCESS_COLORS.length];
+            const total=plan.refs.filter(r => r.pid===pid).length;
+            const held=state.owners.filter(o => o===pid).length;
+            const frames=plan.scope==='local'?plan.allocation[pid]:held;
+            return `<tr><td><span class="process-swatch" style="background:${color.fill};border-color:${color.stroke}"></span>${name}</td>`
+                +`<td>${s.pageFaults+s.pageHits} / ${total}</td><td>${s.pageFaults}</td><td>${s.pageHits}</td><td>${s.writeBacks}</td><td>${frames}</td></tr>`;
+        });
+        const framesHead=plan.scope==='local'?'Frames Allocated':'Frames Held';
+        procStats.innerHTML=`<table><tr><th>Process</th><th>References</th><th>Faults</th><th>Hits</th><th>Write-Backs</th><th>${framesHead}</th></tr>${rows.join('')}</table>`;
+    }
+
+    /**
+     * For Working Set and PFF, lists the pages released from memory.
+     * @param {object} lastEvent - The event of the last reference.
+     * @returns {string} e.g. " · released 3, 4" or an empty string.
+     */
+    function describeReleased(lastEvent){
+        if (!lastEvent.released || lastEvent.released.length===0) return '';
+        const pages=lastEvent.released.map(r => `${r.page}${r.writeBack?' (written back)':''}`);
+        return ` · released ${pages.join(', ')}`;
+    }
+
+    /**
+     * With a TLB, says whether the last reference hit in it.
+     * @param {object} lastEvent - The event of the last reference.
+     * @returns {string} e.g. " · TLB miss" or an empty string.
+     */
+    function describeTlb(lastEvent){
+        if (!lastEvent.access) return '';
+        return lastEvent.access==='TLB_HIT'?' · TLB hit':' · TLB miss';
+    }
+
+    /**
+     * Formats a time in nanoseconds, switching to µs / ms for large values.
+     * @param {number} ns - The time in nanoseconds.
+     * @returns {string} e.g. "120 ns" or "1.60 ms".
+     */
+    function formatNs(ns){
+        if (ns>=1e6) return `${(ns/1e6).toFixed(2)} ms`;
+        if (ns>=1e3) return `${(ns/1e3).toFixed(2)} µs`;
+        return `${ns.toFixed(1)} ns`;
+    }
+
+    /**
+     * Counts LRU's faults on a page string without simulating it: a
+     * reference faults when its LRU stack distance exceeds the frames.
+     * @param {number[]} pages - The page string.
+     * @param {number} numFrames - The number of physical memory frames.
+     * @returns {number[]} The faults after each number of references (0 to all).
+     */
+    function countLruFaults(pages,numFrames){
+        const faults=[0];
+        for (const distance of lruStackDistances(pages)) faults.push(faults[faults.length-1]+(distance>numFrames?1:0));
+        return faults;
+    }
+
+    /**
+     * Updates the lanes, summary and status box in comparison mode.
+     */
+    function updateComparisonUI(){
+        sim.updateStats();
+
+        // Summarise what each lane did with the last reference
+        const events=sim.controllers.map(c => c.currentState.lastEvent);
+        const first=events[0];
+        if(performance.now()<alertUntil){
+            // Leave the alert in the status box
+        } else if(first.type==='START'){
+            eventStatus.textContent='Comparison started.';
+            eventStatus.className='status-box status-idle';
+        } else if(first.type==='DONE'){
+            const leaders=sim.leadersAt(sim.currentState.pageIndex);
+            eventStatus.textContent=`Comparison Complete! Fewest faults: ${leaders.join(' / ')}`;
+            eventStatus.className='status-box status-done';
+        } else {
+            const faulted=sim.algorithms.filter((a,i) => events[i].type==='FAULT').map(a => a.short);
+            const hit=sim.algorithms.filter((a,i) => events[i].type==='HIT').map(a => a.short);
+            const parts=[];
+            if(faulted.length>0) parts.push(`FAULT: ${faulted.join(', ')}`);
+            if(hit.length>0) parts.push(`HIT: ${hit.join(', ')}`);
+            eventStatus.textContent=`Page ${first.page} · ${parts.join(' · ')}`;
+            eventStatus.className=`status-box ${faulted.length>0?'status-fault':'status-hit'}`;
+        }
+
+        updateButtons();
+        vizTitle.textContent=`Visualization(Comparison: ${sim.algorithms.map(a => a.short).join(' vs ')})`;
+    }
+
+    /**
+     * Enables or disables the animation buttons for the current state.
+     */
+    function updateButtons(){
+        // In quiz mode the simulation only moves by answering
+        const locked=quiz!==null;
+        playBtn.disabled=isPlaying || sim.isFinished || locked;
+        pauseBtn.disabled=!isPlaying || sim.isFinished;
+        nextBtn.disabled=isPlaying || sim.isFinished || locked;
+        prevBtn.disabled=isPlaying || sim.cursor===0 || locked;
+        timeline.disabled=locked;
+    }
+
     /**
      * Toggles the animation state between playing and paused.
      * @param {boolean} play - True to play, false to pause.
@@ -157,38 +670,638 @@ document.addEventListener('DOMContentLoaded',() => {
         // 1. Get and validate inputs
         const algo=algoSelect.value;
         const numFrames=parseInt(numFrIp.value);
-        const pgStrRaw=pgStrIp.value;
+        const algos=cmpModeChk.checked?getComparedAlgorithms().map(a => a.value):[algo];
+        // Working Set and PFF size their own resident set
+        const fixedFrames=!algos.every(isVariableAllocation);
         
-        if (isNaN(numFrames) || numFrames<1 || numFrames>8){
+        if (fixedFrames && (isNaN(numFrames) || numFrames<1 || numFrames>64)){
             // Use a custom message box instead of alert()
-            showCustomAlert("Please enter a valid number of frames (1-8).");
+            showCustomAlert("Please enter a valid number of frames (1-64).");
             return;
         }
 
-        const pageString=pgStrRaw.split(',')
-                                        .map(s => s.trim())
-                                        .filter(s => s.length>0)
-                                        .map(s => parseInt(s));
-        
-        if (pageString.some(isNaN) || pageString.length===0){
-            // Use a custom message box instead of alert()
-            showCustomAlert("Please enter a valid, comma-separated page reference string (e.g., 7, 0, 1).");
+        if (mpModeChk.checked){
+            startMultiProcess(algo,numFrames);
             return;
         }
 
-        // 2. Create new simulation
-        sim=new SimulationController(canvas,algo,numFrames,pageString);
+        const refs=readReferences();
+        if (refs===null) return;
+
+        const tlb=readTlbSettings();
+        if (tlb===null) return;
+        const variable=readVariableSettings();
+        if (variable===null) return;
+
+        const options={
+            tieBreaker:tieBrkSelect.value,
+            writes:refs.writes,
+            addresses:refs.addresses,
+            pageSize:refs.pageSize,
+            tlb:tlb.config,
+            ...variable
+        };
+        latencies=tlb.latencies;
+
+        // 2. Create new simulation (or one lane per algorithm when comparing)
+        if (cmpModeChk.checked){
+            if (algos.length<2){
+                showCustomAlert("Please choose at least two algorithms to compare.");
+                return;
+            }
+            sim=new ComparisonController(cmpView,getComparedAlgorithms(),fixedFrames?numFrames:1,refs.pages,options);
+        } else if (isCustomPolicy(algo)){
+            // The policy runs in its worker first; the simulation starts when it is done
+            startCustomPolicy(algo,numFrames,refs.pages,options);
+            return;
+        } else {
+            sim=new SimulationController(canvas,algo,numFrames,refs.pages,options);
+        }
         
         // 3. Switch UI panels
+        showSimulation(pgStrSource,!!options.tlb);
+    }
+
+    /**
+     * Runs a user policy over the page string in its worker, then starts
+     * the simulation, which replays the recorded decisions. Shows an
+     * alert if the policy throws, picks an invalid frame or runs too long.
+     * @param {string} algo - The policy's algorithm key.
+     * @param {number} numFrames - The number of physical memory frames.
+     * @param {number[]} pages - The page string.
+     * @param {object} options - The simulation settings.
+     */
+    function startCustomPolicy(algo,numFrames,pages,options){
+        const policy=policies.find(p => policyKey(p.name)===algo);
+        startBtn.disabled=true;
+        eventStatus.textContent=`Running policy "${policy.name}"...`;
+        eventStatus.className='status-box status-idle';
+        runPolicy(policy.source,numFrames,pages,options.writes,policy.timeout)
+            .then(steps => {
+                sim=new SimulationController(canvas,algo,numFrames,pages,{...options,policySteps:steps});
+                showSimulation(pgStrSource,!!options.tlb);
+            })
+            .catch(err => {
+                const message=`Policy "${policy.name}" failed. ${err.message}`;
+                showCustomAlert(message);
+                setPolicyStatus(message,false);
+            })
+            .finally(() => { startBtn.disabled=false; });
+    }
+
+    /**
+     * Starts a multi-process simulation from the process list and
+     * scheduling settings. Shows an alert if they are invalid.
+     * @param {string} algo - The selected algorithm.
+     * @param {number} numFrames - The number of physical memory frames.
+     */
+    function startMultiProcess(algo,numFrames){
+        if (cmpModeChk.checked || addrModeChk.checked || tlbModeChk.checked){
+            showCustomAlert("Multi-process mode can't be combined with comparison, address translation or the TLB.");
+            return;
+        }
+        if (isVariableAllocation(algo)){
+            showCustomAlert("Multi-process mode needs a fixed-allocation algorithm (not Working Set or PFF).");
+            return;
+        }
+        if (isCustomPolicy(algo)){
+            showCustomAlert("Custom policies run in the single-process view only.");
+            return;
+        }
+        const variable=readVariableSettings();
+        if (variable===null) return;
+        const processes=parseProcessList(mpListIp.value);
+        if (processes===null){
+            showCustomAlert("Please enter one process per line with a unique name, e.g. A: 1, 2, 3w.");
+            return;
+        }
+        if (processes.length>numFrames){
+            showCustomAlert(`Please use at least one frame per process (${processes.length} processes).`);
+            return;
+        }
+
+        let schedule;
+        if (mpScheduleSelect.value==='order'){
+            const names=processes.map(p => p.name);
+            const order=document.getElementById('mp-order').value.split(',').map(s => s.trim()).filter(s => s.length>0);
+            const unknown=order.find(name => !names.includes(name));
+            if (order.length===0 || unknown!==undefined){
+                showCustomAlert(unknown!==undefined?`Unknown process in the order: ${unknown}`:"Please enter a scheduling order, e.g. A, A, B.");
+                return;
+            }
+            const missing=names.find(name => !order.includes(name));
+            if (missing!==undefined){
+                showCustomAlert(`Process ${missing} never runs: add it to the scheduling order.`);
+                return;
+            }
+            schedule={type:'order',order:order.map(name => names.indexOf(name))};
+        } else {
+            const quantum=Number(document.getElementById('mp-quantum').value);
+            if (!Number.isInteger(quantum) || quantum<1){
+                showCustomAlert("Please enter a whole-number quantum of at least 1.");
+                return;
+            }
+            schedule={type:'round-robin',quantum};
+        }
+
+        sim=new MultiProcessController(canvas,algo,numFrames,processes,{
+            tieBreaker:tieBrkSelect.value,
+            lruK:variable.lruK,
+            schedule,
+            allocation:document.getElementById('mp-allocation').value,
+            scope:mpScopeSelect.value
+        });
+        const scheduleText=schedule.type==='order'?'explicit order':`round-robin, quantum ${schedule.quantum}`;
+        showSimulation(`${processes.length} processes, ${scheduleText}, ${mpScopeSelect.value} replacement`,false);
+    }
+
+    /**
+     * Switches from the setup panel to the running simulation.
+     * @param {string|null} source - Where the references came from (shown under the stats).
+     * @param {boolean} withTlb - True to show the TLB stats.
+     */
+    function showSimulation(source,withTlb){
+        const comparing=sim instanceof ComparisonController;
+        const multi=sim instanceof MultiProcessController;
         setupPanel.classList.add('hidden');
         anmSec.classList.remove('hidden');
+        setComparisonLayout(comparing);
+        srcInfo.textContent=source?`Reference string: ${source}`:'';
+        srcInfo.classList.toggle('hidden',!source || comparing);
+        for (const item of tlbStats) item.classList.toggle('hidden',!withTlb);
+        // ARC, 2Q and LRU-K are measured against LRU on the same string
+        lruFaults=!comparing && !multi && isAdaptivePolicy(sim.algorithm)?countLruFaults(sim.pageString,sim.numFrames):null;
+        for (const item of lruStats) item.classList.toggle('hidden',!lruFaults);
+        procStats.classList.toggle('hidden',!multi);
+        // The grid has no notion of process ownership
+        gridView.classList.toggle('hidden',comparing || multi);
+        gridStep=-1;
+        chartStep=-1;
+        chartEvents=[];
+        chartData=null;
+        procStep=-1;
+        linkStep=-1;
+        bpStatus.textContent='';
+        scenario=readScenario();
+        gridHtmlBtn.disabled=comparing || multi;
+        gridPngBtn.disabled=comparing || multi;
+        // A report covers a single run; the comparison lanes are several
+        reportHtmlBtn.disabled=comparing;
+        reportCsvBtn.disabled=comparing;
+        chartsSvgBtn.disabled=comparing;
+        recordBtn.disabled=recording!==null;
+        // The multi-process view does not draw the explanation
+        explainChk.disabled=multi;
+        // Working Set / PFF add frames as they go, and the lanes would need one answer each
+        quizChk.disabled=comparing || sim.variable;
 
-        // 4. Set initial state
+        // Set initial state
         setPlaying(false);
+        if (!multi) sim.setExplain(explainChk.checked);
+        resetQuiz();
         sim.draw();
         updateUI();
     }
     
+    /**
+     * Reads the page string input. In address translation mode the
+     * input holds virtual addresses, which are split into pages.
+     * Shows an alert and returns null if the input is invalid.
+     * @returns {{pages:number[],writes:boolean[],addresses?:number[],pageSize?:number}|null}
+     */
+    function readReferences(){
+        if (!addrModeChk.checked){
+            const refs=parsePageString(pgStrIp.value);
+            if (refs===null){
+                // Use a custom message box instead of alert()
+                showCustomAlert("Please enter a valid, comma-separated page reference string (e.g., 7w, 0r, 1).");
+            }
+            return refs;
+        }
+
+        const pageSize=parseInt(addrPgSizeIp.value);
+        if (isNaN(pageSize) || pageSize<1){
+            showCustomAlert("Please enter a valid page size in bytes.");
+            return null;
+        }
+        const refs=parseAddressString(pgStrIp.value);
+        if (refs===null){
+            showCustomAlert("Please enter valid, comma-separated virtual addresses (e.g., 0x1A3F, 8196w).");
+            return null;
+        }
+        return {
+            pages:addressesToPages(refs.addresses,pageSize),
+            writes:refs.writes,
+            addresses:refs.addresses,
+            pageSize
+        };
+    }
+
+    /**
+     * Reads the TLB settings. Shows an alert and returns null if they are invalid.
+     * @returns {{config:object|undefined,latencies:object|null}|null} config is
+     *          undefined when the TLB is turned off.
+     */
+    function readTlbSettings(){
+        if (!tlbModeChk.checked) return {config:undefined,latencies:null};
+
+        const num=(id) => Number(document.getElementById(id).value);
+        const size=num('tlb-size');
+        if (!Number.isInteger(size) || size<1 || size>16){
+            showCustomAlert("Please enter a valid number of TLB entries (1-16).");
+            return null;
+        }
+        const seed=num('tlb-seed');
+        if (!Number.isInteger(seed) || seed<0 || seed>4294967295){
+            showCustomAlert("Please enter a whole-number TLB seed (0-4294967295).");
+            return null;
+        }
+        const latencies={tlb:num('lat-tlb'),memory:num('lat-memory'),fault:num('lat-fault')};
+        if (Object.values(latencies).some(t => isNaN(t) || t<0)){
+            showCustomAlert("Please enter non-negative TLB, memory and fault service times.");
+            return null;
+        }
+        return {config:{size,policy:tlbPolicySelect.value,seed},latencies};
+    }
+
+    /**
+     * Reads the Working Set window, the PFF thresholds and LRU-K's K.
+     * Shows an alert and returns null if they are invalid.
+     * @returns {{wsWindow:number,pffUpper:number,pffLower:number,lruK:number}|null}
+     */
+    function readVariableSettings(){
+        const settings={
+            wsWindow:Number(document.getElementById('ws-window').value),
+            pffUpper:Number(document.getElementById('pff-upper').value),
+            pffLower:Number(document.getElementById('pff-lower').value),
+            lruK:Number(document.getElementById('lru-k').value)
+        };
+        try {
+            checkVariableSettings(settings);
+        } catch (err){
+            showCustomAlert(`${err.message}.`);
+            return null;
+        }
+        return settings;
+    }
+
+    /**
+     * Collects the setup form's settings that matter for the current mode.
+     * @returns {object} The scenario (see scenario.js for the field names).
+     */
+    function readScenario(){
+        const val=(id) => document.getElementById(id).value;
+        const algos=cmpModeChk.checked?getComparedAlgorithms().map(a => a.value):[algoSelect.value];
+        const result={
+            algo:algoSelect.value,
+            frames:algos.every(isVariableAllocation)?undefined:numFrIp.value,
+            tie:algos.includes('lfu') || algos.includes('mfu')?tieBrkSelect.value:undefined,
+            src:pgStrSource
+        };
+        if (mpModeChk.checked){
+            result.mp=mpListIp.value;
+            result.sched=mpScheduleSelect.value;
+            if (result.sched==='order') result.order=val('mp-order');
+            else result.q=val('mp-quantum');
+            result.scope=mpScopeSelect.value;
+            if (result.scope==='local') result.alloc=val('mp-allocation');
+        } else {
+            result.pages=pgStrIp.value;
+        }
+        if (cmpModeChk.checked) result.cmp=algos.join(',');
+        if (addrModeChk.checked) result.addr=addrPgSizeIp.value;
+        if (tlbModeChk.checked){
+            result.tlb=val('tlb-size');
+            result.tlbPolicy=tlbPolicySelect.value;
+            if (result.tlbPolicy==='random') result.tlbSeed=val('tlb-seed');
+            result.latTlb=val('lat-tlb');
+            result.latMem=val('lat-memory');
+            result.latFault=val('lat-fault');
+        }
+        if (algos.includes('working-set')) result.ws=val('ws-window');
+        if (algos.includes('lru-k')) result.k=val('lru-k');
+        if (algos.includes('pff')){
+            result.pffUp=val('pff-upper');
+            result.pffLo=val('pff-lower');
+        }
+        return result;
+    }
+
+    /**
+     * Fills the setup form from a scenario and shows the matching fields.
+     * @param {object} s - The scenario from decodeScenario.
+     */
+    function applyScenario(s){
+        const set=(id,value) => { if (value!==undefined) document.getElementById(id).value=value; };
+        if (s.algo) algoSelect.value=s.algo;
+        set('num-frames',s.frames);
+        tieBrkSelect.value=s.tie || 'fifo';
+        set('page-string',s.pages);
+        pgStrSource=s.src || null;
+
+        cmpModeChk.checked=s.cmp!==undefined;
+        if (s.cmp!==undefined){
+            const compared=s.cmp.split(',');
+            for (const box of cmpAlgoList.querySelectorAll('input')) box.checked=compared.includes(box.value);
+        }
+
+        addrModeChk.checked=s.addr!==undefined;
+        set('addr-page-size',s.addr);
+
+        tlbModeChk.checked=s.tlb!==undefined;
+        set('tlb-size',s.tlb);
+        set('tlb-policy',s.tlbPolicy);
+        set('tlb-seed',s.tlbSeed);
+        set('lat-tlb',s.latTlb);
+        set('lat-memory',s.latMem);
+        set('lat-fault',s.latFault);
+
+        set('ws-window',s.ws);
+        set('lru-k',s.k);
+        set('pff-upper',s.pffUp);
+        set('pff-lower',s.pffLo);
+
+        mpModeChk.checked=s.mp!==undefined;
+        set('process-list',s.mp);
+        set('mp-schedule',s.sched);
+        set('mp-quantum',s.q);
+        set('mp-order',s.order);
+        set('mp-scope',s.scope);
+        set('mp-allocation',s.alloc);
+
+        handleAlgorithmChange();
+        handleAddressModeChange();
+        handleTlbModeChange();
+        handleMultiProcessChange();
+    }
+
+    /**
+     * Restores the scenario in the URL hash: fills the form, starts
+     * the simulation and fast-forwards to the saved step.
+     */
+    function restoreFromHash(){
+        let link;
+        try {
+            link=decodeScenario(location.hash);
+        } catch (err){
+            showCustomAlert(err.message);
+            linkStep=-1; // Put the running simulation's link back
+            return;
+        }
+        if (sim) handleReset();
+        applyScenario(link.scenario);
+        handleStart();
+        if (!sim) return; // handleStart already explained what is wrong
+
+        sim.seek(link.step);
+        updateUI();
+    }
+
+    /**
+     * Refills the scenario list: the textbook examples, then the user's scenarios.
+     * @param {string} [selected] - Name of the scenario to select.
+     */
+    function buildLibraryList(selected){
+        librarySelect.innerHTML='';
+        const groups=[['Textbook Examples',TEXTBOOK_SCENARIOS,true],['My Scenarios',library,false]];
+        for (const [label,entries,builtIn] of groups){
+            if (entries.length===0) continue;
+            const group=document.createElement('optgroup');
+            group.label=label;
+            for (const entry of entries){
+                const option=document.createElement('option');
+                option.value=entry.name;
+                option.textContent=entry.name;
+                option.dataset.builtIn=builtIn;
+                group.appendChild(option);
+            }
+            librarySelect.appendChild(group);
+        }
+        if (selected!==undefined) librarySelect.value=selected;
+    }
+
+    /**
+     * Returns the scenario picked in the list.
+     * @returns {{entry:{name:string,scenario:object},builtIn:boolean}|null}
+     */
+    function getLibrarySelection(){
+        const option=librarySelect.selectedOptions[0];
+        if (!option) return null;
+        const builtIn=option.dataset.builtIn==='true';
+        const entry=(builtIn?TEXTBOOK_SCENARIOS:library).find(e => e.name===option.value);
+        return {entry,builtIn};
+    }
+
+    /**
+     * Stores a new version of the user's scenarios and refreshes the list.
+     * @param {{name:string,scenario:object}[]} entries - The new list.
+     * @param {string} [selected] - Name of the scenario to select.
+     */
+    function storeLibrary(entries,selected){
+        saveLibrary(localStorage,entries);
+        library=entries;
+        buildLibraryList(selected);
+    }
+
+    // Handles the library's 'Load' button click
+    function handleLibraryLoad(){
+        const selection=getLibrarySelection();
+        if (!selection){
+            showCustomAlert("Please choose a scenario to load.");
+            return;
+        }
+        applyScenario(selection.entry.scenario);
+        if (!selection.builtIn) libraryNameIp.value=selection.entry.name;
+    }
+
+    // Handles the 'Save Current Setup' button click
+    function handleLibrarySave(){
+        if (!cmpModeChk.checked && isCustomPolicy(algoSelect.value)){
+            showCustomAlert("Scenarios can only name built-in algorithms; custom policies are kept in the policy editor.");
+            return;
+        }
+        try {
+            const name=libraryNameIp.value.trim();
+            storeLibrary(saveScenario(library,name,readScenario()),name);
+        } catch (err){
+            showCustomAlert(err.message);
+        }
+    }
+
+    // Handles the library's 'Rename' button click
+    function handleLibraryRename(){
+        const selection=getLibrarySelection();
+        if (!selection || selection.builtIn){
+            showCustomAlert("Please choose one of your own scenarios to rename; textbook examples are read-only.");
+            return;
+        }
+        try {
+            const name=libraryNameIp.value.trim();
+            storeLibrary(renameScenario(library,selection.entry.name,name),name);
+        } catch (err){
+            showCustomAlert(err.message);
+        }
+    }
+
+    // Handles the library's 'Delete' button click
+    function handleLibraryDelete(){
+        const selection=getLibrarySelection();
+        if (!selection || selection.builtIn){
+            showCustomAlert("Please choose one of your own scenarios to delete; textbook examples are read-only.");
+            return;
+        }
+        try {
+            storeLibrary(deleteScenario(library,selection.entry.name));
+        } catch (err){
+            showCustomAlert(err.message);
+        }
+    }
+
+    /**
+     * Lists the registered policies in the editor and, under their own
+     * heading, at the end of the algorithm menu.
+     * @param {string} [selected] - The policy to select in the editor's list.
+     */
+    function buildPolicyList(selected){
+        const current=algoSelect.value;
+        policySelect.innerHTML='';
+        algoSelect.querySelector('optgroup')?.remove();
+        if (policies.length>0){
+            const group=document.createElement('optgroup');
+            group.label='Custom Policies';
+            for (const policy of policies){
+                const option=document.createElement('option');
+                option.value=policyKey(policy.name);
+                option.textContent=`${policy.name} (custom)`;
+                group.appendChild(option);
+                const item=document.createElement('option');
+                item.value=policy.name;
+                item.textContent=policy.name;
+                policySelect.appendChild(item);
+            }
+            algoSelect.appendChild(group);
+        }
+        // A deleted policy falls back to FIFO
+        algoSelect.value=current;
+        if (algoSelect.selectedIndex<0) algoSelect.value='fifo';
+        if (selected!==undefined) policySelect.value=selected;
+    }
+
+    /**
+     * Shows the outcome of a policy test or run under the editor.
+     * @param {string} message - The text to show.
+     * @param {boolean} [ok] - True for success, false for an error, omitted while busy.
+     */
+    function setPolicyStatus(message,ok){
+        policyStatus.textContent=message;
+        policyStatus.className=`policy-status${ok===undefined?'':ok?' status-ok':' status-error'}`;
+    }
+
+    // Handles the policy editor's 'Test & Register' button click
+    function handlePolicyRegister(){
+        let entries;
+        try {
+            entries=registerPolicy(policies,policyNameIp.value,policySourceIp.value,Number(policyTimeoutIp.value));
+        } catch (err){
+            setPolicyStatus(err.message,false);
+            return;
+        }
+        const name=policyNameIp.value.trim();
+        const entry=entries.find(e => e.name===name);
+        policyRegBtn.disabled=true;
+        setPolicyStatus(`Testing "${name}"...`);
+        // Only code that survives a short test run is registered
+        testPolicy(entry.source,entry.timeout)
+            .then(() => {
+                savePolicies(localStorage,entries);
+                policies=entries;
+                buildPolicyList(name);
+                algoSelect.value=policyKey(name);
+                handleAlgorithmChange();
+                setPolicyStatus(`"${name}" passed a test run and is now in the algorithm list.`,true);
+            })
+            .catch(err => setPolicyStatus(`"${name}" was not registered. ${err.message}`,false))
+            .finally(() => { policyRegBtn.disabled=false; });
+    }
+
+    // Handles the policy editor's 'Edit' button click
+    function handlePolicyEdit(){
+        const policy=policies.find(p => p.name===policySelect.value);
+        if (!policy){
+            setPolicyStatus("Please register a policy first.",false);
+            return;
+        }
+        policyNameIp.value=policy.name;
+        policySourceIp.value=policy.source;
+        policyTimeoutIp.value=policy.timeout;
+        setPolicyStatus('');
+    }
+
+    // Handles the policy editor's 'Delete' button click
+    function handlePolicyDelete(){
+        const name=policySelect.value;
+        if (!name){
+            setPolicyStatus("Please choose a policy to delete.",false);
+            return;
+        }
+        const entries=deletePolicy(policies,name);
+        try {
+            savePolicies(localStorage,entries);
+        } catch (err){
+            setPolicyStatus(err.message,false);
+            return;
+        }
+        policies=entries;
+        buildPolicyList();
+        handleAlgorithmChange();
+        setPolicyStatus(`"${name}" was deleted.`,true);
+    }
+
+    // Handles the library's 'Export' button click
+    function handleLibraryExport(){
+        if (library.length===0){
+            showCustomAlert("There are no saved scenarios to export yet.");
+            return;
+        }
+        downloadBlob(new Blob([exportLibrary(library)],{type:'application/json'}),'os-visualizer-scenarios.json');
+    }
+
+    // Handles the library's 'Import' button click
+    function handleLibraryImport(){
+        const file=libraryFileIp.files[0];
+        if (!file){
+            showCustomAlert("Please choose a library file to import.");
+            return;
+        }
+        const reader=new FileReader();
+        reader.onload=() => {
+            try {
+                const result=importLibrary(library,reader.result);
+                storeLibrary(result.entries);
+                libraryImportBtn.textContent=`Imported ${result.count}!`;
+                setTimeout(() => { libraryImportBtn.textContent='Import'; },2000);
+            } catch (err){
+                showCustomAlert(err.message);
+            }
+        };
+        reader.onerror=() => showCustomAlert("Could not read the library file.");
+        reader.readAsText(file);
+    }
+
+    // Handles the 'Copy Permalink' button click
+    function handleCopyLink(){
+        if (!navigator.clipboard){
+            showCustomAlert("Could not copy the link; copy it from the address bar instead.");
+            return;
+        }
+        navigator.clipboard.writeText(location.href)
+            .then(() => {
+                copyLinkBtn.textContent='Link Copied!';
+                setTimeout(() => { copyLinkBtn.textContent='Copy Permalink'; },2000);
+            })
+            .catch(() => showCustomAlert("Could not copy the link; copy it from the address bar instead."));
+    }
+
     /**
      * Shows a custom, non-blocking alert message.
      * @param {string} message - The message to display.
@@ -197,6 +1310,7 @@ document.addEventListener('DOMContentLoaded',() => {
         // We can re-use the eventStatusBox for alerts
         eventStatus.textContent=message;
         eventStatus.className='status-box status-fault'; // Use 'fault' style for errors
+        alertUntil=performance.now()+3000; // Keep it visible while a simulation runs
         
         // Reset to idle after 3 seconds
         setTimeout(() => {
@@ -207,24 +1321,418 @@ document.addEventListener('DOMContentLoaded',() => {
         },3000);
     }
 
+    // Shows only the setup fields that apply to the selected algorithm(s)
+    function handleAlgorithmChange(){
+        const comparing=cmpModeChk.checked;
+        const algos=comparing?getComparedAlgorithms().map(a => a.value):[algoSelect.value];
+        tieBrkGroup.classList.toggle('hidden',!algos.includes('lfu') && !algos.includes('mfu'));
+        wsGroup.classList.toggle('hidden',!algos.includes('working-set'));
+        pffGroup.classList.toggle('hidden',!algos.includes('pff'));
+        lruKGroup.classList.toggle('hidden',!algos.includes('lru-k'));
+        numFrIp.disabled=algos.length>0 && algos.every(isVariableAllocation);
+        algoSelect.disabled=comparing;
+        cmpAlgoList.classList.toggle('hidden',!comparing);
+        // Known anomaly strings only make sense for FIFO
+        exampleGroup.classList.toggle('hidden',algoSelect.value!=='fifo');
+    }
+
+    /**
+     * Fills the comparison checklist with one checkbox per algorithm.
+     * FIFO, LRU and Optimal are checked by default.
+     */
+    function buildComparisonList(){
+        cmpAlgoList.replaceChildren();
+        for (const option of algoSelect.options){
+            // Custom policies run in a worker before they start, one at a time
+            if (isCustomPolicy(option.value)) continue;
+            const label=document.createElement('label');
+            label.className='checkbox-label';
+            const box=document.createElement('input');
+            box.type='checkbox';
+            box.value=option.value;
+            box.checked=['fifo','lru','optimal'].includes(option.value);
+            box.addEventListener('change',handleAlgorithmChange);
+            label.append(box,option.text.split(' (')[0]);
+            cmpAlgoList.appendChild(label);
+        }
+    }
+
+    /**
+     * Returns the algorithms ticked in the comparison checklist.
+     * @returns {{value:string,label:string,short:string}[]}
+     */
+    function getComparedAlgorithms(){
+        const checked=[...cmpAlgoList.querySelectorAll('input:checked')].map(box => box.value);
+        return [...algoSelect.options]
+            .filter(option => checked.includes(option.value))
+            .map(option => ({
+                value:option.value,
+                label:option.text,
+                short:option.text.split(' (')[0]
+            }));
+    }
+
+    /**
+     * Swaps the single canvas and stats footer for the comparison lanes.
+     * @param {boolean} comparing - True to show the comparison lanes.
+     */
+    function setComparisonLayout(comparing){
+        canvasBox.classList.toggle('hidden',comparing);
+        statsFooter.classList.toggle('hidden',comparing);
+        cmpView.classList.toggle('hidden',!comparing);
+        // The grid belongs to a single running simulation
+        gridView.classList.toggle('hidden',comparing || !sim);
+        chartView.classList.toggle('hidden',comparing || !sim);
+    }
+
     // Handles the 'Reset Simulation' button click
     function handleReset(){
         // 1. Stop simulation
         setPlaying(false);
+        sim.destroy();
         sim=null;
         
         // 2. Switch UI panels
         anmSec.classList.add('hidden');
         setupPanel.classList.remove('hidden');
+        setComparisonLayout(false);
+        procStats.classList.add('hidden');
+        history.replaceState(null,'',location.pathname+location.search);
 
         // 3. Clear canvas and UI
+        resetQuiz();
         const ctx=canvas.getContext('2d');
         ctx.clearRect(0,0,canvas.width,canvas.height);
         updateUI();
     }
 
+    // Shows the page size field when references are virtual addresses
+    function handleAddressModeChange(){
+        addrGroup.classList.toggle('hidden',!addrModeChk.checked);
+    }
+
+    // Shows the multi-process settings that apply to the chosen schedule and scope
+    function handleMultiProcessChange(){
+        mpGroup.classList.toggle('hidden',!mpModeChk.checked);
+        mpQuantumGroup.classList.toggle('hidden',mpScheduleSelect.value!=='round-robin');
+        mpOrderGroup.classList.toggle('hidden',mpScheduleSelect.value!=='order');
+        // With global replacement any process can take any frame
+        mpAllocGroup.classList.toggle('hidden',mpScopeSelect.value!=='local');
+        // The process list replaces the single page string
+        pgStrIp.disabled=mpModeChk.checked;
+    }
+
+    // Shows the TLB settings (and the seed only for random replacement)
+    function handleTlbModeChange(){
+        tlbGroup.classList.toggle('hidden',!tlbModeChk.checked);
+        tlbSeedGroup.classList.toggle('hidden',tlbPolicySelect.value!=='random');
+    }
+
+    // Shows only the generator parameters used by the selected model
+    function handleGeneratorTypeChange(){
+        const params=GENERATORS[genType.value].params;
+        for (const group of genPanel.querySelectorAll('[data-param]')){
+            group.classList.toggle('hidden',!params.includes(group.dataset.param));
+        }
+    }
+
+    // Handles the 'Generate' button click
+    function handleGenerate(){
+        const num=(id) => parseFloat(document.getElementById(id).value);
+        const params={
+            length:num('gen-length'),
+            pageRange:num('gen-range'),
+            loopLength:num('gen-loop-length'),
+            noise:num('gen-noise')/100,
+            skew:num('gen-skew'),
+            phaseLength:num('gen-phase-length'),
+            workingSetSize:num('gen-ws-size'),
+            locality:num('gen-locality')/100,
+            writeRatio:num('gen-writes')/100
+        };
+        if (!Number.isInteger(params.length) || params.length<1 || params.length>1000){
+            showCustomAlert("Please enter a valid length (1-1000).");
+            return;
+        }
+        if (!Number.isInteger(params.pageRange) || params.pageRange<1 || params.pageRange>100){
+            showCustomAlert("Please enter a valid number of pages (1-100).");
+            return;
+        }
+        const used=GENERATORS[genType.value].params.concat('writeRatio');
+        if (used.some(name => isNaN(params[name]) || params[name]<0)){
+            showCustomAlert("Please fill in every generator setting with a non-negative number.");
+            return;
+        }
+
+        // An empty seed picks a random one, which is then shown so it can be reused
+        let seed;
+        if (genSeedIp.value.trim()===''){
+            seed=randomSeed();
+            genSeedIp.value=seed;
+        } else {
+            seed=Number(genSeedIp.value.trim());
+            if (!Number.isInteger(seed) || seed<0 || seed>4294967295){
+                showCustomAlert("Please enter a whole-number seed (0-4294967295).");
+                return;
+            }
+        }
+
+        const refs=generateReferenceString(genType.value,seed,params);
+        pgStrIp.value=formatPageString(refs.pages,refs.writes);
+        pgStrSource=`${GENERATORS[genType.value].name}, ${params.length} references, seed ${seed}`;
+    }
+
+    // Handles the 'Import Trace' button click
+    function handleImportTrace(){
+        const file=traceFileIp.files[0];
+        if (!file){
+            showCustomAlert("Please choose a trace file to import.");
+            return;
+        }
+        const pageSize=parseInt(tracePgSizeIp.value);
+        if (isNaN(pageSize) || pageSize<1){
+            showCustomAlert("Please enter a valid page size in bytes.");
+            return;
+        }
+
+        const reader=new FileReader();
+        reader.onload=() => {
+            const trace=parseTrace(reader.result,{pageSize,collapse:traceCollapseChk.checked});
+            if (trace.pages.length===0){
+                showCustomAlert(trace.errors.length>0
+                    ? `No addresses found. ${describeTraceErrors(trace.errors)}`
+                    : "No addresses found in the trace file.");
+                return;
+            }
+
+            pgStrIp.value=formatPageString(trace.pages,trace.writes);
+            pgStrSource=`${file.name}, ${trace.references} addresses → ${trace.pages.length} references, page size ${pageSize} bytes`;
+
+            // Load what we could, but tell the user which lines were skipped
+            if (trace.errors.length>0) showCustomAlert(describeTraceErrors(trace.errors));
+        };
+        reader.onerror=() => showCustomAlert("Could not read the trace file.");
+        reader.readAsText(file);
+    }
+
+    // Handles the 'Export Grid (HTML)' button
+    function handleGridHtml(){
+        const algoName=algoSelect.options[algoSelect.selectedIndex].text;
+        const html=gridHtmlDocument(getGridModel(),sim.variable?algoName:`${algoName} with ${sim.numFrames} frames`);
+        downloadBlob(new Blob([html],{type:'text/html'}),`os-visualizer-grid-${algoSelect.value}.html`);
+    }
+
+    // Handles the 'Export Charts (SVG)' button
+    function handleChartsSvg(){
+        const algoName=algoSelect.options[algoSelect.selectedIndex].text;
+        const svg=chartsSvgDocument(getChartData(),sim.variable?algoName:`${algoName} with ${sim.numFrames} frames`);
+        downloadBlob(new Blob([svg],{type:'image/svg+xml'}),`os-visualizer-charts-${algoSelect.value}.svg`);
+    }
+
+    // Handles the 'Export Grid (PNG)' button
+    function handleGridPng(){
+        // Browsers cap the canvas width, so a long string exports the columns around the current step
+        const total=sim.pageString.length;
+        const range=gridRange(total,sim.currentState.pageIndex,GRID_PNG_COLUMNS);
+        const dataURL=drawGridCanvas(getGridModel(range)).toDataURL('image/png');
+        const link=document.createElement('a');
+        link.download=`os-visualizer-grid-${algoSelect.value}.png`;
+        link.href=dataURL;
+        link.click();
+        if (range.last-range.first+1<total){
+            showCustomAlert(`The PNG holds at most ${GRID_PNG_COLUMNS} references, so it shows references ${range.first+1}–${range.last+1} of ${total} around the current step. Export the grid as HTML for the whole string.`);
+        }
+    }
+
+    /**
+     * Turns the steps taken so far into a trace for formatters.js.
+     * Multi-process references are labelled with their process (A:1).
+     * @returns {object} A trace shaped like the result of simulate().
+     */
+    function getReportTrace(){
+        let history=sim.stateHistory.slice(0,sim.cursor+1).filter(s => s.lastEvent.type!=='DONE');
+        const plan=sim instanceof MultiProcessController?sim.plan:null;
+        const label=(pid,page) => page===null?null:`${plan.names[pid]}:${page}`;
+        if (plan){
+            history=history.map(s => ({
+                ...s,
+                frames:s.frames.map((page,i) => label(s.owners[i],page)),
+                lastEvent:{...s.lastEvent,replaced:label(s.lastEvent.replacedPid,s.lastEvent.replaced ?? null)}
+            }));
+        }
+        return {
+            algorithm:sim.algorithm,
+            numFrames:sim.maxFrames,
+            pages:plan?plan.refs.map(r => label(r.pid,r.page)):sim.pageString,
+            writes:sim.writes,
+            states:history,
+            events:history.slice(1).map(s => s.lastEvent),
+            stats:history[history.length-1].stats
+        };
+    }
+
+    /**
+     * Lists the settings of the running simulation for the report.
+     * @returns {[string,string][]} Label / value pairs.
+     */
+    function describeConfig(){
+        const s=scenario;
+        const rows=[];
+        if (s.mp!==undefined){
+            rows.push(['Processes',s.mp.trim().split('\n').join('; ')]);
+            rows.push(['Schedule',s.sched==='order'?`Explicit order ${s.order}`:`Round-robin, quantum ${s.q}`]);
+            rows.push(['Replacement Scope',s.scope==='local'?`Local (${s.alloc} allocation)`:'Global']);
+        } else {
+            rows.push(['Page String',s.pages]);
+        }
+        if (s.src) rows.push(['Source',s.src]);
+        if (s.tie) rows.push(['Tie-Breaker',s.tie]);
+        if (s.addr) rows.push(['Page Size',`${s.addr} bytes`]);
+        if (s.tlb){
+            rows.push(['TLB',`${s.tlb} entries, ${s.tlbPolicy}${s.tlbSeed?` (seed ${s.tlbSeed})`:''}`]);
+            rows.push(['Latencies',`TLB ${s.latTlb} ns, memory ${s.latMem} ns, fault ${s.latFault} ns`]);
+        }
+        if (s.ws) rows.push(['Working Set Window',s.ws]);
+        if (s.pffUp) rows.push(['PFF Thresholds',`lower ${s.pffLo}, upper ${s.pffUp}`]);
+        return rows;
+    }
+
+    /**
+     * Lists the totals the report adds to its summary.
+     * @param {object} trace - The result of getReportTrace.
+     * @returns {[string,string][]} Label / value pairs.
+     */
+    function describeTotals(trace){
+        const stats=trace.stats;
+        const steps=trace.events.length;
+        const rows=[['Disk I/Os',stats.pageFaults+stats.writeBacks]];
+        if (stats.tlbHits!==undefined){
+            rows.push(['TLB Hit Ratio',`${(steps>0?stats.tlbHits/steps*100:0).toFixed(1)}%`]);
+            rows.push(['Effective Access Time',formatNs(effectiveAccessTime(stats,latencies))]);
+        }
+        if (steps<trace.pages.length) rows.push(['Progress',`Stopped after ${steps} of ${trace.pages.length} references`]);
+        return rows;
+    }
+
+    /**
+     * Saves a blob as a file.
+     * @param {Blob} blob - The file contents.
+     * @param {string} name - The file name.
+     */
+    function downloadBlob(blob,name){
+        const url=URL.createObjectURL(blob);
+        const link=document.createElement('a');
+        link.download=name;
+        link.href=url;
+        link.click();
+        // Revoking right after the click can cancel the download in some browsers
+        setTimeout(() => URL.revokeObjectURL(url),1000);
+    }
+
+    // Handles the 'Export Report (HTML)' button
+    function handleReportHtml(){
+        const trace=getReportTrace();
+        const html=formatHtml(trace,{config:describeConfig(),summary:describeTotals(trace)});
+        downloadBlob(new Blob([html],{type:'text/html'}),`os-visualizer-report-${sim.algorithm}.html`);
+    }
+
+    // Handles the 'Export Step Log (CSV)' button
+    function handleReportCsv(){
+        const csv=formatCsv(getReportTrace());
+        downloadBlob(new Blob([csv],{type:'text/csv'}),`os-visualizer-steps-${sim.algorithm}.csv`);
+    }
+
+    // Handles the 'Run Frame Sweep' button click
+    function handleRunSweep(){
+        const algo=algoSelect.value;
+        if (isVariableAllocation(algo)){
+            showCustomAlert("Working Set and PFF choose their own frame count, so there is nothing to sweep.");
+            return;
+        }
+        if (isCustomPolicy(algo)){
+            showCustomAlert("The frame sweep covers the built-in algorithms only.");
+            return;
+        }
+        const maxFrames=parseInt(maxFrIp.value);
+        if (isNaN(maxFrames) || maxFrames<1 || maxFrames>64){
+            showCustomAlert("Please enter a valid maximum number of frames (1-64).");
+            return;
+        }
+        const refs=readReferences();
+        if (refs===null) return;
+
+        // Run every frame count without animating
+        const results=sweepFrameCounts(algo,maxFrames,refs.pages,refs.writes,{tieBreaker:tieBrkSelect.value});
+        const anomalies=findAnomalies(results);
+
+        analysisPanel.classList.remove('hidden');
+        analysisCanvas.width=analysisCanvas.parentElement.clientWidth;
+        analysisCanvas.height=320;
+        drawFaultChart(analysisCanvas,results,anomalies);
+
+        const algoName=algoSelect.options[algoSelect.selectedIndex].text;
+        analysisTitle.textContent=`Page Faults vs. Number of Frames (${algoName})`;
+        if (anomalies.length>0){
+            analysisStatus.textContent="Belady's anomaly found!";
+            analysisStatus.className='status-box status-fault';
+            analysisSummary.textContent=anomalies
+                .map(f => `With ${f} frames there are ${results[f-1].faults} faults, more than the ${results[f-2].faults} faults with ${f-1} frames.`)
+                .join(' ');
+        } else {
+            analysisStatus.textContent='No anomaly';
+            analysisStatus.className='status-box status-hit';
+            analysisSummary.textContent=algo==='fifo'
+                ? 'Faults never increase for this string. Try one of the known FIFO anomaly strings from the explorer.'
+                : 'Faults never increase for this string.';
+        }
+    }
+
+    // Handles the 'Miss-Ratio Curves' button click
+    function handleRunMissRatio(){
+        const maxFrames=parseInt(maxFrIp.value);
+        if (isNaN(maxFrames) || maxFrames<2 || maxFrames>64){
+            showCustomAlert("Please enter a maximum number of frames from 2 to 64 for the curves.");
+            return;
+        }
+        const refs=readReferences();
+        if (refs===null) return;
+
+        // LRU and OPT in one pass each, FIFO once per frame count
+        const fifo=checkInclusion('fifo',maxFrames,refs.pages,refs.writes,{tieBreaker:tieBrkSelect.value});
+        const curves=[
+            {algorithm:'lru',label:'LRU (one pass)',results:faultCurve(lruStackDistances(refs.pages),maxFrames)},
+            {algorithm:'optimal',label:'OPT (one pass)',results:faultCurve(optStackDistances(refs.pages),maxFrames)},
+            {algorithm:'fifo',label:'FIFO (one run per size)',results:fifo.results}
+        ];
+
+        analysisPanel.classList.remove('hidden');
+        analysisCanvas.width=analysisCanvas.parentElement.clientWidth;
+        analysisCanvas.height=320;
+        drawMissRatioChart(analysisCanvas,curves,fifo.violations,refs.pages.length);
+
+        analysisTitle.textContent='Miss Ratio vs. Number of Frames (LRU, OPT, FIFO)';
+        if (fifo.violations.length>0){
+            analysisStatus.textContent='FIFO breaks inclusion';
+            analysisStatus.className='status-box status-fault';
+            analysisSummary.textContent=fifo.violations
+                .map(v => `With ${v.frames} frames, page${v.pages.length>1?'s':''} ${v.pages.join(', ')} ${v.pages.length>1?'are':'is'} resident after step ${v.step} but not with ${v.frames+1} frames.`)
+                .join(' ');
+        } else {
+            analysisStatus.textContent='Inclusion holds';
+            analysisStatus.className='status-box status-hit';
+            analysisSummary.textContent=`For this string FIFO keeps the inclusion property up to ${maxFrames} frames, like LRU and OPT always do.`;
+        }
+    }
+
+    // Handles the 'Use This String' button click
+    function handleLoadExample(){
+        pgStrIp.value=KNOWN_ANOMALY_STRINGS[exampleSelect.selectedIndex].pages;
+        pgStrSource=null;
+    }
+
     // Handles the 'Play' button click
     function handlePlay(){
+        bpStatus.textContent='';
         setPlaying(true);
     }
 
@@ -247,31 +1755,250 @@ document.addEventListener('DOMContentLoaded',() => {
         updateUI(); // Update immediately
     }
 
+    /**
+     * Jumps to a step; states already computed are reused.
+     * @param {number} step - 0 (before the first reference) to sim.lastStep (done).
+     */
+    function seekTo(step){
+        sim.seek(step);
+        updateUI(); // Update immediately
+    }
+
+    // Handles dragging the timeline scrubber
+    function handleTimelineInput(){
+        seekTo(Number(timeline.value));
+    }
+
+    // Handles the breakpoint 'Add' button (or Enter in its field)
+    function handleAddBreakpoint(){
+        const bp=parseBreakpoint(bpInput.value);
+        if (!bp){
+            showCustomAlert("Please enter a breakpoint such as 'fault on page 4', 'frame 2 replaced' or 'step 30'.");
+            return;
+        }
+        if (!breakpoints.some(b => b.label===bp.label)) breakpoints.push(bp);
+        bpInput.value='';
+        renderBreakpoints();
+    }
+
+    /**
+     * Keyboard shortcuts: Space plays/pauses, the arrows step,
+     * Page Up/Down jump 10 steps and Home/End go to the first/last step.
+     * @param {KeyboardEvent} e - The key press.
+     */
+    function handleKeyDown(e){
+        if (!sim || quiz || e.ctrlKey || e.metaKey || e.altKey) return;
+        // Leave typing and native controls alone (Space already clicks a focused button)
+        if (e.target.closest('input, textarea, select')) return;
+        if (e.key===' ' && e.target.closest('button, summary')) return;
+
+        const moves={ArrowLeft:-1,ArrowRight:1,PageUp:-10,PageDown:10};
+        if (e.key===' '){
+            if (isPlaying) handlePause();
+            else if (!sim.isFinished) handlePlay();
+        } else if (Object.hasOwn(moves,e.key)){
+            setPlaying(false);
+            seekTo(sim.cursor+moves[e.key]);
+        } else if (e.key==='Home'){
+            setPlaying(false);
+            seekTo(0);
+        } else if (e.key==='End'){
+            setPlaying(false);
+            seekTo(sim.lastStep);
+        } else {
+            return;
+        }
+        e.preventDefault();
+    }
+
     // Handles the 'Speed Slider' input change
     function handleSpeedChange(e){
         anmSpd=parseFloat(e.target.value);
     }
 
+    // Handles the 'Quiz mode' checkbox: a fresh quiz starts at the current step
+    function handleQuizToggle(){
+        resetQuiz();
+        if (sim) updateUI();
+    }
+
+    // Handles the quiz 'Fault' button: asks which frame gets the page
+    function handleQuizFault(){
+        quizFrames.replaceChildren(...sim.currentState.frames.map((page,i) => {
+            const btn=document.createElement('button');
+            btn.className='btn btn-secondary';
+            btn.textContent=`Frame ${i}`;
+            btn.addEventListener('click',() => submitPrediction({type:'FAULT',frame:i}));
+            return btn;
+        }));
+        quizFrames.classList.remove('hidden');
+    }
+
+    // Handles the 'Explain this step' checkbox
+    function handleExplainChange(){
+        if (sim) sim.setExplain(explainChk.checked);
+    }
+
     // Handles the 'Export Screenshot' button 
     function handleScreenshot(){
-        const dataURL=canvas.toDataURL('image/png');
+        // In comparison mode, export all lanes stacked into one image
+        const comparing=sim instanceof ComparisonController;
+        const source=comparing?sim.renderComposite():canvas;
+        const dataURL=source.toDataURL('image/png');
         const link=document.createElement('a');
-        link.download=`os-visualizer-${algoSelect.value}.png`;
+        link.download=`os-visualizer-${comparing?'comparison':algoSelect.value}.png`;
         link.href=dataURL;
         link.click();
     }
 
+    // Handles the 'Record' button click
+    function handleRecord(){
+        const stepsPerSecond=parseFloat(recSpeedIp.value);
+        if (isNaN(stepsPerSecond) || stepsPerSecond<0.5 || stepsPerSecond>10){
+            showCustomAlert("Please enter a recording speed from 0.5 to 10 steps per second.");
+            return;
+        }
+        const format=recFormatSelect.value;
+        const settings={format,stepsPerSecond,width:parseInt(recWidthSelect.value)};
+        const name=`os-visualizer-${sim instanceof ComparisonController?'comparison':algoSelect.value}.${format}`;
+
+        recording=new AbortController();
+        recordBtn.disabled=true;
+        recProgress.classList.remove('hidden');
+        const onProgress=(done,total) => {
+            recProgressBar.value=done/total;
+            recProgressText.textContent=`Frame ${done} of ${total}`;
+        };
+        onProgress(0,sim.pageString.length+2);
+
+        recordRun(sim,settings,onProgress,recording.signal)
+            .then(blob => {
+                if (blob) downloadBlob(blob,name); // null if cancelled
+            })
+            .catch(err => showCustomAlert(`Could not record the run: ${err.message}`))
+            .finally(() => {
+                recording=null;
+                recProgress.classList.add('hidden');
+                recordBtn.disabled=!sim;
+            });
+    }
+
+    // Handles the recording's 'Cancel' button click
+    function handleCancelRecording(){
+        if (recording) recording.abort();
+    }
+
     // 5.Initialization
 
     // Attach all event listeners
     startBtn.addEventListener('click',handleStart);
+    algoSelect.addEventListener('change',handleAlgorithmChange);
+    cmpModeChk.addEventListener('change',handleAlgorithmChange);
     resetBtn.addEventListener('click',handleReset);
     playBtn.addEventListener('click',handlePlay);
     pauseBtn.addEventListener('click',handlePause);
     nextBtn.addEventListener('click',handleStepForward);
     prevBtn.addEventListener('click',handleStepBackward);
     spdControl.addEventListener('input',handleSpeedChange);
+    explainChk.addEventListener('change',handleExplainChange);
+    quizChk.addEventListener('change',handleQuizToggle);
+    quizHitBtn.addEventListener('click',() => submitPrediction({type:'HIT',frame:null}));
+    quizFaultBtn.addEventListener('click',handleQuizFault);
     ssBtn.addEventListener('click',handleScreenshot);
+    gridHtmlBtn.addEventListener('click',handleGridHtml);
+    gridPngBtn.addEventListener('click',handleGridPng);
+    reportHtmlBtn.addEventListener('click',handleReportHtml);
+    reportCsvBtn.addEventListener('click',handleReportCsv);
+    chartsSvgBtn.addEventListener('click',handleChartsSvg);
+    chartWindowIp.addEventListener('input',() => {
+        chartStep=-1; // Redraw with the new window
+        if (sim && !(sim instanceof ComparisonController)) updateCharts();
+    });
+    copyLinkBtn.addEventListener('click',handleCopyLink);
+    timeline.addEventListener('input',handleTimelineInput);
+    bpAddBtn.addEventListener('click',handleAddBreakpoint);
+    bpInput.addEventListener('keydown',(e) => { if (e.key==='Enter') handleAddBreakpoint(); });
+    document.addEventListener('keydown',handleKeyDown);
+    recordBtn.addEventListener('click',handleRecord);
+    recCancelBtn.addEventListener('click',handleCancelRecording);
+    // Pasting another permalink into the address bar loads it
+    window.addEventListener('hashchange',restoreFromHash);
+    sweepBtn.addEventListener('click',handleRunSweep);
+    mrcBtn.addEventListener('click',handleRunMissRatio);
+    genType.addEventListener('change',handleGeneratorTypeChange);
+    genBtn.addEventListener('click',handleGenerate);
+    traceBtn.addEventListener('click',handleImportTrace);
+    addrModeChk.addEventListener('change',handleAddressModeChange);
+    tlbModeChk.addEventListener('change',handleTlbModeChange);
+    mpModeChk.addEventListener('change',handleMultiProcessChange);
+    mpScheduleSelect.addEventListener('change',handleMultiProcessChange);
+    mpScopeSelect.addEventListener('change',handleMultiProcessChange);
+    tlbPolicySelect.addEventListener('change',handleTlbModeChange);
+    // A hand-edited page string no longer matches the generator's seed
+    pgStrIp.addEventListener('input',() => { pgStrSource=null; });
+
+    // Fill the list of generator models
+    for (const [key,generator] of Object.entries(GENERATORS)){
+        const option=document.createElement('option');
+        option.value=key;
+        option.textContent=generator.name;
+        genType.appendChild(option);
+    }
+    handleGeneratorTypeChange();
+    loadExampleBtn.addEventListener('click',handleLoadExample);
+    libraryLoadBtn.addEventListener('click',handleLibraryLoad);
+    librarySaveBtn.addEventListener('click',handleLibrarySave);
+    libraryRenameBtn.addEventListener('click',handleLibraryRename);
+    libraryDeleteBtn.addEventListener('click',handleLibraryDelete);
+    libraryExportBtn.addEventListener('click',handleLibraryExport);
+    libraryImportBtn.addEventListener('click',handleLibraryImport);
+    policyRegBtn.addEventListener('click',handlePolicyRegister);
+    policyEditBtn.addEventListener('click',handlePolicyEdit);
+    policyDeleteBtn.addEventListener('click',handlePolicyDelete);
+
+    // Fill the list of known anomaly strings
+    for (const example of KNOWN_ANOMALY_STRINGS){
+        const option=document.createElement('option');
+        option.textContent=example.name;
+        exampleSelect.appendChild(option);
+    }
+
+    // Fill the list of recording formats (WebM needs canvas capture)
+    for (const [key,label] of Object.entries(RECORDING_FORMATS)){
+        const option=document.createElement('option');
+        option.value=key;
+        option.textContent=label;
+        if (key==='webm' && !canRecordWebm()){
+            option.disabled=true;
+            option.textContent+=' (not supported in this browser)';
+        }
+        recFormatSelect.appendChild(option);
+    }
+
+    // Fill the scenario library (browser storage may be disabled)
+    try {
+        library=loadLibrary(localStorage);
+    } catch (err){
+        library=[];
+    }
+    buildLibraryList();
+
+    // Fill the registered policies and start the editor from the example
+    try {
+        policies=loadPolicies(localStorage);
+    } catch (err){
+        policies=[];
+    }
+    buildPolicyList();
+    policySourceIp.value=POLICY_TEMPLATE;
+    policyTimeoutIp.value=DEFAULT_STEP_TIMEOUT;
+
+    // Match the setup fields to the initially selected algorithm
+    buildComparisonList();
+    handleAlgorithmChange();
+
+    // Open the scenario in the link, if there is one
+    if (location.hash.length>1) restoreFromHash();
 
     // Start the animation loop (it will only draw when 'sim' is not null)
     anmFrId=requestAnimationFrame(anmLoop);
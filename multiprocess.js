@@ -0,0 +1,270 @@
+/* * -----------------------------------------------------------------
+ * multiprocess.js
+ * -----------------------------------------------------------------
+ * This file holds the multi-process view. It reuses the normal
+ * SimulationController (history, resizing, stepping) but runs the
+ * interleaved stream from processes.js and draws every frame and
+ * reference in the color of the process that owns it.
+ * -----------------------------------------------------------------
+ */
+
+// Import the main simulation class and the headless multi-process engine
+import { SimulationController } from './simulation.js';
+import { planProcesses,createProcessState,applyProcessStep,PROCESS_COLORS } from './processes.js';
+
+// Simulation controller for several processes sharing the frames
+export class MultiProcessController extends SimulationController{
+
+    /**
+     * @param {HTMLCanvasElement} canvas - The canvas element to draw on.
+     * @param {string} algo - The selected algorithm ('fifo', 'lru', ...).
+     * @param {number} numFr - The number of physical memory frames.
+     * @param {{name:string,pages:number[],writes:boolean[]}[]} processes - The processes.
+     * @param {object} options - { schedule, allocation:'equal'|'proportional',
+     *                             scope:'local'|'global' } plus the usual controller options.
+     */
+    constructor(canvas,algo,numFr,processes,options) {
+        // The plan has to exist before the base class builds the first state
+        const plan=planProcesses(processes,numFr,options);
+        super(canvas,algo,numFr,plan.refs.map(r => r.page),{
+            ...options,
+            plan,
+            writes:plan.refs.map(r => r.write)
+        });
+        this.processes=processes;
+    }
+
+    createReplay(width){
+        const canvas=document.createElement('canvas');
+        return new MultiProcessController(canvas,this.algorithm,this.numFrames,this.processes,{...this.options,width});
+    }
+
+    get plan(){
+        return this.options.plan;
+    }
+
+    createState(){
+        return createProcessState(this.plan,this.numFrames);
+    }
+
+    advance(state){
+        return applyProcessStep(this.algorithm,state,this.plan,this.options);
+    }
+
+    /**
+     * Returns the colors of a process.
+     * @param {number} pid - The process index.
+     * @returns {{fill:string,stroke:string}}
+     */
+    colorOf(pid){
+        return PROCESS_COLORS[pid % PROCESS_COLORS.length];
+    }
+
+    // The main drawing function
+    draw() {
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        const state = this.currentState;
+        if (!state || !state.coords || !state.coords.framesLabel) {
+            return;
+        }
+
+        const coords = state.coords;
+        const lastEvent = state.lastEvent;
+        const refs = this.plan.refs;
+
+        // 1.Draw the Process Legend
+        this.drawLegend(state);
+
+        // 2.Draw the Interleaved Reference String (the part that fits)
+        this.layoutPageString(coords, state.pageIndex);
+        const range = coords.pageStringRange;
+        const pageFont = `bold ${Math.round(16 * this.view.zoom)}px Inter`;
+        this.ctx.font = "14px Inter";
+        this.ctx.fillStyle = "#475569";
+        this.ctx.textAlign = "left";
+        this.ctx.textBaseline = "bottom";
+        this.ctx.fillText("Interleaved Reference String:", coords.pageStringLabel.x, coords.pageStringLabel.y - 14);
+
+        this.ctx.textAlign = "center";
+        this.ctx.textBaseline = "middle";
+
+        for (let i = range.first; i <= range.last; i++) {
+            const c = coords.pageString[i];
+            if (!c) continue;
+            const color = this.colorOf(refs[i].pid);
+
+            if (i === state.pageIndex - 1 && lastEvent.type === 'HIT') this.ctx.fillStyle = "#dcfce7";
+            else if (i === state.pageIndex - 1 && lastEvent.type === 'FAULT') this.ctx.fillStyle = "#fee2e2";
+            else if (i < state.pageIndex) this.ctx.fillStyle = "#f1f5f9";
+            else this.ctx.fillStyle = "#ffffff";
+            this.ctx.strokeStyle = i === state.pageIndex ? "#3b82f6" : "#cbd5e1";
+            this.ctx.lineWidth = i === state.pageIndex ? 2 : 1;
+            this.ctx.beginPath();
+            this.ctx.rect(c.x, c.y, c.w, c.h);
+            this.ctx.fill();
+            this.ctx.stroke();
+
+            // Owner stripe and name above the box
+            this.ctx.fillStyle = color.stroke;
+            this.ctx.fillRect(c.x, c.y, c.w, 4);
+            this.ctx.font = "bold 10px Inter";
+            if (c.w >= 30) this.ctx.fillText(this.plan.names[refs[i].pid], c.x + c.w / 2, c.y - 7);
+
+            this.ctx.font = pageFont;
+            this.ctx.fillStyle = i < state.pageIndex ? "#94a3b8" : "#1e293b";
+            if (c.w >= 14) this.ctx.fillText(refs[i].page, c.x + c.w / 2, c.y + c.h / 2 + 2);
+
+            if (this.writes[i] && c.w >= 30) {
+                this.ctx.font = "bold 11px Inter";
+                this.ctx.fillStyle = "#b45309";
+                this.ctx.fillText("w", c.x + c.w - 7, c.y + c.h - 8);
+            }
+        }
+        this.drawPageOverview(state);
+
+        // 3.Draw Memory Frames
+        this.ctx.font = "14px Inter";
+        this.ctx.fillStyle = "#475569";
+        this.ctx.textAlign = "right";
+        this.ctx.textBaseline = "bottom";
+        this.ctx.fillText("Memory Frames:", coords.framesLabel.x, coords.framesLabel.y);
+
+        this.ctx.textBaseline = "middle";
+        for (let i = 0; i < this.numFrames; i++) {
+            const c = coords.frames[i];
+            if (!c) continue;
+
+            const page = state.frames[i];
+            const owner = state.owners[i];
+            const color = owner === null ? null : this.colorOf(owner);
+
+            this.ctx.fillStyle = color ? color.fill : "#ffffff";
+            this.ctx.strokeStyle = color ? color.stroke : "#94a3b8";
+            this.ctx.lineWidth = 2;
+            if (lastEvent.type === 'HIT' && page === lastEvent.page && owner === lastEvent.pid) {
+                this.ctx.strokeStyle = "#22c55e";
+                this.ctx.lineWidth = 4;
+            } else if (lastEvent.type === 'FAULT' && i === lastEvent.replacedFrameIndex) {
+                this.ctx.strokeStyle = "#ef4444";
+                this.ctx.lineWidth = 4;
+            }
+            this.ctx.beginPath();
+            this.ctx.rect(c.x, c.y, c.w, c.h);
+            this.ctx.fill();
+            this.ctx.stroke();
+
+            this.ctx.font = "bold 20px Inter";
+            this.ctx.textAlign = "center";
+            if (page !== null) {
+                this.ctx.fillStyle = "#1e293b";
+                this.ctx.fillText(page, c.x + c.w / 2, c.y + c.h / 2);
+
+                // Owner name in the top-left corner
+                this.ctx.font = "bold 11px Inter";
+                this.ctx.fillStyle = color.stroke;
+                this.ctx.textAlign = "left";
+                this.ctx.fillText(this.plan.names[owner], c.x + 5, c.y + 10);
+            } else {
+                this.ctx.fillStyle = "#cbd5e1";
+                this.ctx.fillText("-", c.x + c.w / 2, c.y + c.h / 2);
+            }
+
+            // Frame Label
+            this.ctx.font = "14px Inter";
+            this.ctx.fillStyle = "#475569";
+            this.ctx.textAlign = "right";
+            this.ctx.fillText(`Frame ${i}:`, c.labelX, c.labelY);
+        }
+
+        // 4.Draw Pointers and Local Partitions
+        this.drawPartitions(state);
+    }
+
+    /**
+     * Draws each process's color, its allocation and its fault count.
+     * @param {object} state - The state being drawn.
+     */
+    drawLegend(state) {
+        this.ctx.textAlign = "left";
+        this.ctx.textBaseline = "middle";
+        let x = 30;
+        this.plan.names.forEach((name, pid) => {
+            const color = this.colorOf(pid);
+            const held = state.owners.filter(o => o === pid).length;
+            const frames = this.plan.scope === 'local' ? `${this.plan.allocation[pid]} frames` : `holds ${held}`;
+            const text = `${name}: ${frames}, ${state.processStats[pid].pageFaults} faults`;
+
+            this.ctx.fillStyle = color.fill;
+            this.ctx.strokeStyle = color.stroke;
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.rect(x, 22, 14, 14);
+            this.ctx.fill();
+            this.ctx.stroke();
+
+            this.ctx.font = "13px Inter";
+            this.ctx.fillStyle = "#1e293b";
+            this.ctx.fillText(text, x + 20, 29);
+            x += this.ctx.measureText(text).width + 44;
+        });
+    }
+
+    /**
+     * Draws the FIFO / clock pointer of every partition and, with local
+     * replacement, a bracket naming the process each block belongs to.
+     * @param {object} state - The state being drawn.
+     */
+    drawPartitions(state) {
+        const coords = state.coords;
+        this.ctx.font = "bold 14px Inter";
+        this.ctx.textAlign = "left";
+        this.ctx.textBaseline = "middle";
+
+        this.plan.partitions.forEach((partition, p) => {
+            const sub = state.partitions[p];
+
+            if (this.algorithm === 'fifo' && !this.isFinished) {
+                const c = coords.frames[partition.offset + sub.fifoPointer];
+                if (c) {
+                    this.ctx.fillStyle = "#0284c7";
+                    this.ctx.fillText("Next ➔", c.pointerX, c.labelY);
+                }
+            }
+            if (this.usesClockHand() && !this.isFinished) {
+                const c = coords.frames[partition.offset + sub.clockHand];
+                if (c) {
+                    this.ctx.fillStyle = "#7c3aed";
+                    this.ctx.fillText("⬅ Hand", c.pointerX, c.labelY);
+                }
+            }
+
+            if (this.plan.scope !== 'local') return;
+            // One bracket per frame column the partition covers
+            const blocks = [];
+            for (let i = partition.offset; i < partition.offset + partition.size; i++) {
+                const c = coords.frames[i];
+                if (!c) continue;
+                const block = blocks[blocks.length - 1];
+                if (block && block.last.x === c.x) block.last = c;
+                else blocks.push({first: c, last: c});
+            }
+            const color = this.colorOf(p);
+            for (const {first, last} of blocks) {
+                const x = first.pointerX + 80;
+                this.ctx.strokeStyle = color.stroke;
+                this.ctx.lineWidth = 2;
+                this.ctx.beginPath();
+                this.ctx.moveTo(x, first.y + 4);
+                this.ctx.lineTo(x + 8, first.y + 4);
+                this.ctx.lineTo(x + 8, last.y + last.h - 4);
+                this.ctx.lineTo(x, last.y + last.h - 4);
+                this.ctx.stroke();
+                this.ctx.font = "bold 13px Inter";
+                this.ctx.fillStyle = color.stroke;
+                this.ctx.fillText(this.plan.names[p], x + 16, (first.y + last.y + last.h) / 2);
+                this.ctx.font = "bold 14px Inter";
+            }
+        });
+    }
+}
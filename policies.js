@@ -0,0 +1,328 @@
+/* * -----------------------------------------------------------------
+ * policies.js
+ * -----------------------------------------------------------------
+ * This file holds user-defined replacement policies: the plug-in
+ * interface, the list kept in localStorage, and the runner that
+ * executes a policy inside a Web Worker (see policy-worker.js)
+ * with a time limit per step. The worker records one decision per
+ * reference; the engine then replays those decisions like any
+ * other algorithm step.
+ *
+ * A policy is the source of a function with the same shape as
+ * fifoStep:
+ *
+ *     function step(state, page, future) { ... }
+ *
+ * It is called for every reference, hits included, with
+ *   state.frames - the page in each frame (null = empty; a copy)
+ *   state.dirty  - true for each frame whose page was written
+ *   state.custom - the policy's own data, {} at first; change it
+ *                  freely, it is kept for the next step
+ *   state.time   - the index of this reference (0 = first)
+ *   state.hit    - true if the page is already in a frame
+ *   state.write  - true if this reference is a write
+ *   page         - the page referenced now
+ *   future       - the rest of the page string (for OPT-like policies)
+ * On a fault with every frame full it must choose a victim, either by
+ * returning the frame number or an object
+ *   { victim: 2, notes: ['', 'cold', 'hot'], reason: 'coldest page' }
+ * where notes (one per frame) and reason are optional annotations
+ * drawn beside the frames. While a frame is still empty the page
+ * goes into the first empty frame and the victim is ignored.
+ * -----------------------------------------------------------------
+ */
+
+// Algorithm keys of user policies start with this
+export const CUSTOM_PREFIX='custom:';
+
+// localStorage key the user's policies are kept under
+export const STORAGE_KEY='os-visualizer-policies';
+
+// Default time limit for one step, in milliseconds
+export const DEFAULT_STEP_TIMEOUT=1000;
+
+// Longest policy name we accept
+const MAX_NAME_LENGTH=40;
+
+// The worker gets this long to load and compile the policy
+const STARTUP_TIMEOUT=5000;
+
+// Reference string (3 frames) a policy is tried on before it is registered
+const TEST_PAGES=[7,0,1,2,0,3,0,4,2,3,0,3,0,3,2,1,2,0,1,7,0,1];
+const TEST_FRAMES=3;
+
+// Worker globals shadowed by undefined parameters, so a policy does not reach
+// them by accident. This is not a security boundary (code can still get the
+// global object, e.g. through the Function constructor). The sandbox is the
+// Worker itself, which keeps a policy away from the page, plus the per-step
+// timeout, which stops one that hangs.
+const HIDDEN_GLOBALS=['self','globalThis','postMessage','onmessage','close','importScripts',
+    'fetch','XMLHttpRequest','WebSocket','EventSource','indexedDB','caches'];
+
+// Starting point shown in the editor: least recently used, with notes
+export const POLICY_TEMPLATE=`// Called for every reference. Return the frame to replace on a fault
+// when every frame is full (a number, or { victim, notes, reason }).
+function step(state, page, future) {
+    const last = state.custom.lastUse || (state.custom.lastUse = {});
+    last[page] = state.time;
+    if (state.hit || state.frames.includes(null)) return;
+
+    // Evict the page whose last use lies furthest back
+    let victim = 0;
+    state.frames.forEach((p, i) => {
+        if (last[p] < last[state.frames[victim]]) victim = i;
+    });
+    return {
+        victim,
+        notes: state.frames.map(p => \`page \${p}: used at step \${last[p] + 1}\`),
+        reason: 'It was used least recently'
+    };
+}
+`;
+
+/**
+ * Tells whether an algorithm key names a user policy.
+ * @param {string} algorithm - The algorithm key.
+ * @returns {boolean} True for keys made by policyKey.
+ */
+export function isCustomPolicy(algorithm){
+    return algorithm.startsWith(CUSTOM_PREFIX);
+}
+
+/**
+ * Builds the algorithm key of a user policy.
+ * @param {string} name - The policy name.
+ * @returns {string} e.g. "custom:Coldest page".
+ */
+export function policyKey(name){
+    return CUSTOM_PREFIX+name;
+}
+
+/**
+ * Reads the user's policies. A missing or corrupt entry gives an empty list.
+ * @param {Storage} storage - Usually window.localStorage.
+ * @returns {{name:string,source:string,timeout:number}[]} The registered policies.
+ */
+export function loadPolicies(storage){
+    let entries;
+    try {
+        entries=JSON.parse(storage.getItem(STORAGE_KEY) || '[]');
+    } catch (err){
+        return [];
+    }
+    if (!Array.isArray(entries)) return [];
+    return entries.filter(e => e && typeof e.name==='string' && typeof e.source==='string' && Number.isFinite(e.timeout));
+}
+
+/**
+ * Writes the user's policies.
+ * @param {Storage} storage - Usually window.localStorage.
+ * @param {{name:string,source:string,timeout:number}[]} entries - The policies.
+ * @throws {Error} If the browser refuses to store them (full or disabled).
+ */
+export function savePolicies(storage,entries){
+    try {
+        storage.setItem(STORAGE_KEY,JSON.stringify(entries));
+    } catch (err){
+        throw new Error('Could not save the policies (browser storage is full or disabled).');
+    }
+}
+
+/**
+ * Adds a policy, replacing a registered one with the same name.
+ * @param {{name:string,source:string,timeout:number}[]} entries - The registered policies.
+ * @param {string} name - The name to register under.
+ * @param {string} source - The policy code.
+ * @param {number} timeout - The time limit for one step, in milliseconds.
+ * @returns {{name:string,source:string,timeout:number}[]} The new list, sorted by name.
+ * @throws {Error} If the name, code or time limit is invalid.
+ */
+export function registerPolicy(entries,name,source,timeout){
+    const trimmed=name.trim();
+    if (trimmed.length===0) throw new Error('Please enter a name for the policy.');
+    if (trimmed.length>MAX_NAME_LENGTH) throw new Error(`Policy names can be at most ${MAX_NAME_LENGTH} characters.`);
+    if (source.trim().length===0) throw new Error('Please write the policy code.');
+    if (!Number.isInteger(timeout) || timeout<10 || timeout>10000) throw new Error('Please enter a step time limit from 10 to 10000 ms.');
+    const entry={name:trimmed,source,timeout};
+    return [...entries.filter(e => e.name!==trimmed),entry].sort((a,b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Deletes a registered policy.
+ * @param {{name:string}[]} entries - The registered policies.
+ * @param {string} name - The name of the policy to delete.
+ * @returns {{name:string}[]} The new list.
+ */
+export function deletePolicy(entries,name){
+    return entries.filter(e => e.name!==name);
+}
+
+/**
+ * Turns policy code into a callable policy. Only the worker calls
+ * this, so the code never runs on the page itself.
+ * @param {string} source - The policy code; it must define step(state, page, future).
+ * @returns {{step:function,custom:object}} The step function and its (empty) data.
+ * @throws {Error} If the code does not compile, throws while loading or has no step function.
+ */
+export function compilePolicy(source){
+    let load;
+    try {
+        load=new Function(...HIDDEN_GLOBALS,`"use strict";\n${source}\nreturn typeof step==='function'?step:undefined;`);
+    } catch (err){
+        throw new Error(`The policy does not compile: ${err.message}`);
+    }
+    let step;
+    try {
+        step=load();
+    } catch (err){
+        throw new Error(`The policy threw while loading: ${describeError(err)}.`);
+    }
+    if (!step) throw new Error('The policy must define a function step(state, page, future).');
+    return {step,custom:{}};
+}
+
+/**
+ * Asks a policy what to do with the reference at state.pageIndex and
+ * checks the answer.
+ * @param {{step:function,custom:object}} policy - The result of compilePolicy (custom is updated).
+ * @param {object} state - The current simulation state (not modified).
+ * @param {number[]} pages - The page string.
+ * @param {boolean[]} writes - One flag per reference, true for writes.
+ * @returns {{victim:number|null,notes:string[]|null,reason:string|null}} The decision for this step.
+ * @throws {Error} If the policy throws or returns an invalid victim or annotation.
+ */
+export function decidePolicyStep(policy,state,pages,writes){
+    const time=state.pageIndex;
+    const page=pages[time];
+    const view={
+        frames:[...state.frames],
+        dirty:state.modBits.map(bit => bit===1),
+        custom:policy.custom,
+        time,
+        hit:state.frames.includes(page),
+        write:writes[time]
+    };
+    const where=`Step ${time+1} (page ${page})`;
+
+    let answer;
+    try {
+        answer=policy.step(view,page,pages.slice(time+1));
+    } catch (err){
+        throw new Error(`${where}: the policy threw ${describeError(err)}.`);
+    }
+    policy.custom=view.custom;
+
+    const decision=answer!==null && typeof answer==='object'?answer:{victim:answer};
+    const victim=decision.victim ?? null;
+    const notes=decision.notes ?? null;
+    const reason=decision.reason ?? null;
+    const count=state.frames.length;
+    const needsVictim=!view.hit && !state.frames.includes(null);
+    if (needsVictim && !(Number.isInteger(victim) && victim>=0 && victim<count)){
+        throw new Error(`${where}: every frame is full, so the policy must return a frame number from 0 to ${count-1} (it returned ${describeValue(victim)}).`);
+    }
+    if (notes!==null && !(Array.isArray(notes) && notes.length<=count && notes.every(n => n===null || typeof n==='string'))){
+        throw new Error(`${where}: notes must be an array of at most ${count} strings, one per frame.`);
+    }
+    if (reason!==null && typeof reason!=='string') throw new Error(`${where}: reason must be a string.`);
+    return {victim:needsVictim?victim:null,notes,reason};
+}
+
+/**
+ * Performs one step of a user policy by replaying its decision.
+ * @param {object} state - A deep copy of the current simulation state.
+ * @param {number} currentPage - The page to be processed.
+ * @param {{victim:number|null,notes:string[]|null,reason:string|null}} decision - From decidePolicyStep.
+ * @returns {object} The new state after this step.
+ */
+export function policyStep(state,currentPage,decision){
+    if (state.frames.includes(currentPage)){
+        state.stats.pageHits++;
+        state.lastEvent={type:'HIT',page:currentPage,replaced:null,replacedFrameIndex:-1};
+    } else {
+        state.stats.pageFaults++;
+        const empty=state.frames.indexOf(null);
+        const victimIndex=empty>-1?empty:decision.victim;
+        const victimPage=state.frames[victimIndex];
+        state.frames[victimIndex]=currentPage;
+        state.lastEvent={type:'FAULT',page:currentPage,replaced:victimPage,replacedFrameIndex:victimIndex};
+    }
+    if (decision.notes) state.lastEvent.notes=decision.notes;
+    if (decision.reason) state.lastEvent.reason=decision.reason;
+    return state;
+}
+
+/**
+ * Runs a policy over a whole page string in a Web Worker. Each step
+ * must finish within the time limit, otherwise the worker is stopped.
+ * @param {string} source - The policy code.
+ * @param {number} numFrames - The number of physical memory frames.
+ * @param {number[]} pages - The page string.
+ * @param {boolean[]} writes - One flag per reference, true for writes.
+ * @param {number} [timeout] - The time limit for one step, in milliseconds.
+ * @returns {Promise<object[]>} One decision per reference, for options.policySteps.
+ *          Rejects with a readable Error if the policy fails or runs too long.
+ */
+export function runPolicy(source,numFrames,pages,writes,timeout=DEFAULT_STEP_TIMEOUT){
+    return new Promise((resolve,reject) => {
+        const worker=new Worker(new URL('./policy-worker.js',import.meta.url),{type:'module'});
+        const decisions=[];
+        let timer=null;
+
+        const finish=(err) => {
+            clearTimeout(timer);
+            worker.terminate();
+            if (err) reject(err);
+            else resolve(decisions);
+        };
+        // Restarts the clock; it runs out if the worker stays silent too long
+        const watch=(limit,message) => {
+            clearTimeout(timer);
+            timer=setTimeout(() => finish(new Error(message)),limit);
+        };
+        const watchStep=() => watch(timeout,`Step ${decisions.length+1} (page ${pages[decisions.length]}) took longer than ${timeout} ms, so the policy was stopped.`);
+
+        worker.onmessage=(e) => {
+            const message=e.data;
+            if (message.type==='ready') watchStep();
+            else if (message.type==='step'){
+                decisions.push(message.decision);
+                watchStep();
+            } else if (message.type==='done') finish(null);
+            else finish(new Error(message.message));
+        };
+        worker.onerror=(e) => {
+            e.preventDefault();
+            finish(new Error(`The policy worker failed: ${e.message || 'unknown error'}`));
+        };
+        worker.postMessage({source,numFrames,pages,writes});
+        watch(Math.max(timeout,STARTUP_TIMEOUT),`The policy took longer than ${Math.max(timeout,STARTUP_TIMEOUT)} ms to load, so it was stopped.`);
+    });
+}
+
+/**
+ * Tries a policy on a short textbook string before it is registered,
+ * so code that does not compile or picks invalid frames is caught early.
+ * @param {string} source - The policy code.
+ * @param {number} timeout - The time limit for one step, in milliseconds.
+ * @returns {Promise<object[]>} The decisions; rejects like runPolicy.
+ */
+export function testPolicy(source,timeout){
+    return runPolicy(source,TEST_FRAMES,TEST_PAGES,new Array(TEST_PAGES.length).fill(false),timeout);
+}
+
+// Quotes what a policy threw: the message of an Error, otherwise the value
+function describeError(err){
+    return err instanceof Error?`"${err.message}"`:describeValue(err);
+}
+
+// Shows a returned value in an error message
+function describeValue(value){
+    if (value===undefined) return 'nothing';
+    if (typeof value==='function') return 'a function';
+    try {
+        return JSON.stringify(value) ?? String(value);
+    } catch (err){
+        return String(value);
+    }
+}
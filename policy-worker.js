@@ -0,0 +1,37 @@
+/* * -----------------------------------------------------------------
+ * policy-worker.js
+ * -----------------------------------------------------------------
+ * This is the Web Worker a user policy runs in (started by runPolicy
+ * in policies.js). It has no access to the page, compiles the code
+ * it is sent, runs it over the whole page string and reports one
+ * decision per step, so the page can stop it if a step hangs.
+ * -----------------------------------------------------------------
+ */
+
+// Import the engine and the policy interface
+import { createInitialState,applyStep } from './engine.js';
+import { policyKey,compilePolicy,decidePolicyStep } from './policies.js';
+
+// Message in: {source,numFrames,pages,writes}
+// Messages out: {type:'ready'}, {type:'step',decision} per reference, then {type:'done'} or {type:'error',message}
+self.onmessage=(e) => {
+    const {source,numFrames,pages,writes}=e.data;
+    try {
+        const policy=compilePolicy(source);
+        self.postMessage({type:'ready'});
+
+        // Replay each decision through the engine so the next step sees the same frames
+        const decisions=[];
+        const options={policySteps:decisions};
+        let state=createInitialState(numFrames,options);
+        while (state.pageIndex<pages.length){
+            const decision=decidePolicyStep(policy,state,pages,writes);
+            decisions.push(decision);
+            self.postMessage({type:'step',decision});
+            state=applyStep(policyKey('worker'),state,pages,writes,options);
+        }
+        self.postMessage({type:'done'});
+    } catch (err){
+        self.postMessage({type:'error',message:err.message});
+    }
+};
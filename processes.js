@@ -0,0 +1,272 @@
+/* * -----------------------------------------------------------------
+ * processes.js
+ * -----------------------------------------------------------------
+ * This file holds the headless multi-process simulation.
+ * Several processes, each with its own reference string, are
+ * interleaved by a schedule and share the physical frames.
+ * Frames are split by equal or proportional allocation and the
+ * victim is picked from the faulting process's own frames (local
+ * replacement) or from all frames (global replacement).
+ * -----------------------------------------------------------------
+ */
+
+// Import the single-process engine; each partition is a normal simulation state
+import { parsePageString,createInitialState,applyStep } from './engine.js';
+
+// Fill / outline colors used to tell the processes apart
+export const PROCESS_COLORS=[
+    {fill:'#dbeafe',stroke:'#2563eb'},
+    {fill:'#fce7f3',stroke:'#db2777'},
+    {fill:'#dcfce7',stroke:'#16a34a'},
+    {fill:'#fef3c7',stroke:'#d97706'},
+    {fill:'#ede9fe',stroke:'#7c3aed'},
+    {fill:'#ccfbf1',stroke:'#0d9488'}
+];
+
+/**
+ * Parses one process per line, e.g. "A: 1, 2, 3w". The name is
+ * optional; unnamed processes are called P1, P2, ...
+ * @param {string} raw - The process list.
+ * @returns {{name:string,pages:number[],writes:boolean[]}[]|null} The processes,
+ *          or null if a line is invalid or two processes share a name.
+ */
+export function parseProcessList(raw){
+    const processes=[];
+    const lines=raw.split('\n')
+                   .map(s => s.trim())
+                   .filter(s => s.length>0);
+    for (const line of lines){
+        const match=/^(?:([A-Za-z_]\w*)\s*:)?(.*)$/.exec(line);
+        const refs=parsePageString(match[2]);
+        if (refs===null) return null;
+        const name=match[1] || `P${processes.length+1}`;
+        if (processes.some(p => p.name===name)) return null;
+        processes.push({name,pages:refs.pages,writes:refs.writes});
+    }
+    return processes.length>0?processes:null;
+}
+
+/**
+ * Merges the processes' reference strings into one stream.
+ * @param {{pages:number[],writes:boolean[]}[]} processes - The processes.
+ * @param {{type:string,quantum?:number,order?:number[]}} schedule -
+ *        { type:'round-robin', quantum:2 } runs each process for up to quantum references in turn;
+ *        { type:'order', order:[0,0,1] } runs one reference per entry, repeating the order.
+ *        Entries of processes that have finished are skipped.
+ * @returns {{pid:number,page:number,write:boolean}[]} The interleaved references.
+ */
+export function interleaveProcesses(processes,schedule){
+    const next=processes.map(() => 0); // Next reference of each process
+    const remaining=() => processes.some((p,pid) => next[pid]<p.pages.length);
+    const refs=[];
+    const take=(pid) => {
+        const i=next[pid]++;
+        refs.push({pid,page:processes[pid].pages[i],write:processes[pid].writes[i]});
+    };
+
+    if (schedule.type==='order'){
+        const order=schedule.order;
+        if (order.length===0) throw new Error('The schedule order is empty');
+        if (processes.some((p,pid) => p.pages.length>0 && !order.includes(pid))){
+            throw new Error('Every process must appear in the schedule order');
+        }
+        for (let i=0;remaining();i=(i+1)%order.length){
+            const pid=order[i];
+            if (next[pid]<processes[pid].pages.length) take(pid);
+        }
+        return refs;
+    }
+
+    const quantum=schedule.quantum;
+    if (!Number.isInteger(quantum) || quantum<1) throw new Error(`Invalid quantum: ${quantum}`);
+    while (remaining()){
+        processes.forEach((p,pid) => {
+            for (let q=0;q<quantum && next[pid]<p.pages.length;q++) take(pid);
+        });
+    }
+    return refs;
+}
+
+/**
+ * Splits the frames between the processes.
+ * Equal: m/n frames each, the remainder going to the first processes.
+ * Proportional: m * s_i / S frames, where s_i is the number of distinct
+ * pages process i touches; leftovers go to the largest remainders.
+ * Every process gets at least one frame.
+ * @param {{pages:number[]}[]} processes - The processes.
+ * @param {number} numFrames - The number of physical memory frames.
+ * @param {string} policy - 'equal' or 'proportional'.
+ * @returns {number[]} The number of frames allocated to each process.
+ */
+export function allocateFrames(processes,numFrames,policy){
+    const n=processes.length;
+    if (numFrames<n) throw new Error(`Need at least one frame per process (${n} processes, ${numFrames} frames)`);
+
+    if (policy!=='proportional'){
+        const base=Math.floor(numFrames/n);
+        return processes.map((p,pid) => base+(pid<numFrames%n?1:0));
+    }
+
+    const sizes=processes.map(p => new Set(p.pages).size);
+    const total=sizes.reduce((sum,s) => sum+s,0);
+    const exact=sizes.map(s => s*numFrames/total);
+    const frames=exact.map(x => Math.max(1,Math.floor(x)));
+    let used=frames.reduce((sum,f) => sum+f,0);
+    while (used<numFrames){
+        // Largest remainder first
+        let best=0;
+        for (let pid=1;pid<n;pid++){
+            if (exact[pid]-frames[pid]>exact[best]-frames[best]) best=pid;
+        }
+        frames[best]++;
+        used++;
+    }
+    while (used>numFrames){
+        // The one-frame minimum overshot: take back from the biggest share
+        const biggest=frames.indexOf(Math.max(...frames));
+        frames[biggest]--;
+        used--;
+    }
+    return frames;
+}
+
+/**
+ * Works out how the interleaved references map onto partitions.
+ * Local replacement has one partition (a contiguous block of frames)
+ * per process; global replacement has a single partition holding
+ * every frame. Inside a partition, each (process, page) pair gets a
+ * numeric key, so page 0 of two processes are different pages.
+ * @param {{name:string,pages:number[],writes:boolean[]}[]} processes - The processes.
+ * @param {number} numFrames - The number of physical memory frames.
+ * @param {object} settings - { schedule, allocation:'equal'|'proportional', scope:'local'|'global' }.
+ * @returns {object} The plan used by createProcessState and applyProcessStep.
+ */
+export function planProcesses(processes,numFrames,settings){
+    const refs=interleaveProcesses(processes,settings.schedule);
+    const allocation=allocateFrames(processes,numFrames,settings.allocation);
+    const local=settings.scope==='local';
+
+    const sizes=local?allocation:[numFrames];
+    const offsets=sizes.map((s,p) => sizes.slice(0,p).reduce((sum,x) => sum+x,0));
+    const partitions=sizes.map((size,p) => ({size,offset:offsets[p],keys:[],writes:[]}));
+
+    // Key table: keyPages[key] is the {pid, page} behind a key
+    const keyPages=[];
+    const keyOf=new Map();
+    for (const ref of refs){
+        const id=`${ref.pid}:${ref.page}`;
+        if (!keyOf.has(id)){
+            keyOf.set(id,keyPages.length);
+            keyPages.push({pid:ref.pid,page:ref.page});
+        }
+        const partition=partitions[local?ref.pid:0];
+        partition.keys.push(keyOf.get(id));
+        partition.writes.push(ref.write);
+    }
+
+    return {
+        names:processes.map(p => p.name),
+        refs,
+        allocation,
+        scope:local?'local':'global',
+        partitions,
+        keyPages
+    };
+}
+
+/**
+ * Builds the starting state of a multi-process simulation.
+ * @param {object} plan - The result of planProcesses.
+ * @param {number} numFrames - The number of physical memory frames.
+ * @returns {object} The initial state.
+ */
+export function createProcessState(plan,numFrames){
+    return {
+        frames:new Array(numFrames).fill(null), // Page number in each frame
+        owners:new Array(numFrames).fill(null), // Process index owning each frame
+        pageIndex:0, // Position in the interleaved reference stream
+        partitions:plan.partitions.map(p => createInitialState(p.size)),
+        stats:{pageFaults:0,pageHits:0,writeBacks:0},
+        processStats:plan.names.map(() => ({pageFaults:0,pageHits:0,writeBacks:0})),
+        lastEvent:{
+            type:'START',
+            page:null,
+            replaced:null
+        }
+    };
+}
+
+/**
+ * Processes the next reference of the interleaved stream.
+ * @param {string} algorithm - The algorithm key ('fifo', 'lru', ...).
+ * @param {object} state - The current state (not modified).
+ * @param {object} plan - The result of planProcesses.
+ * @param {object} [options] - Algorithm settings such as tieBreaker.
+ * @returns {object} The new state.
+ */
+export function applyProcessStep(algorithm,state,plan,options={}){
+    const ref=plan.refs[state.pageIndex];
+    const p=plan.scope==='local'?ref.pid:0;
+    const partition=plan.partitions[p];
+
+    const result=JSON.parse(JSON.stringify(state));
+    const sub=applyStep(algorithm,state.partitions[p],partition.keys,partition.writes,options);
+    result.partitions[p]=sub;
+
+    // Copy the partition back into the shared frames
+    sub.frames.forEach((key,i) => {
+        const owner=key===null?null:plan.keyPages[key];
+        result.frames[partition.offset+i]=owner?owner.page:null;
+        result.owners[partition.offset+i]=owner?owner.pid:null;
+    });
+
+    // Translate the event from keys back to (process, page)
+    const event=sub.lastEvent;
+    const replaced=event.replaced===null?null:plan.keyPages[event.replaced];
+    result.lastEvent={
+        type:event.type,
+        pid:ref.pid,
+        page:ref.page,
+        replaced:replaced?replaced.page:null,
+        replacedPid:replaced?replaced.pid:null,
+        replacedFrameIndex:event.type==='FAULT'?partition.offset+event.replacedFrameIndex:-1,
+        write:event.write,
+        writeBack:event.writeBack
+    };
+
+    const own=result.processStats[ref.pid];
+    if (event.type==='HIT'){
+        result.stats.pageHits++;
+        own.pageHits++;
+    } else {
+        result.stats.pageFaults++;
+        own.pageFaults++;
+    }
+    // The write-back is paid by the process whose dirty page was evicted
+    if (event.writeBack){
+        result.stats.writeBacks++;
+        result.processStats[replaced.pid].writeBacks++;
+    }
+
+    result.pageIndex++;
+    return result;
+}
+
+/**
+ * Runs a whole multi-process simulation and keeps every intermediate state.
+ * @param {string} algorithm - The algorithm key ('fifo', 'lru', ...).
+ * @param {number} frames - The number of physical memory frames.
+ * @param {{name:string,pages:number[],writes:boolean[]}[]} processes - The processes.
+ * @param {object} settings - { schedule, allocation, scope, tieBreaker }.
+ * @returns {{plan:object,states:object[],stats:object,processStats:object[]}}
+ */
+export function simulateProcesses(algorithm,frames,processes,settings){
+    const plan=planProcesses(processes,frames,settings);
+    let state=createProcessState(plan,frames);
+    const states=[state];
+    while (state.pageIndex<plan.refs.length){
+        state=applyProcessStep(algorithm,state,plan,settings);
+        states.push(state);
+    }
+    return {plan,states,stats:state.stats,processStats:state.processStats};
+}
@@ -0,0 +1,80 @@
+/* * -----------------------------------------------------------------
+ * quiz.js
+ * -----------------------------------------------------------------
+ * This file holds the practice quiz: before every step the student
+ * predicts a hit or a fault and, for a fault, the frame the page
+ * goes into. The questions come only from the scenario (algorithm,
+ * frames, page string and the settings that change the answers), so
+ * a generated string with the same seed gives every student the same quiz.
+ * -----------------------------------------------------------------
+ */
+
+import { ADAPTIVE_DEFAULTS } from './engine.js';
+
+// Kinds of mistakes, in the order the summary lists them
+export const MISTAKE_KINDS={
+    'missed-hit':'Missed hit (predicted a fault, the page was resident)',
+    'missed-fault':'Missed fault (predicted a hit, the page was not resident)',
+    'wrong-victim':'Wrong victim (right fault, wrong frame)'
+};
+
+/**
+ * Checks a prediction against what the algorithm did.
+ * @param {{type:string,frame:number|null}} prediction - 'HIT' or 'FAULT' and,
+ *                                                       for a fault, the frame.
+ * @param {object} event - The lastEvent of the state after the step.
+ * @returns {{correct:boolean,mistake:string|null}} The mistake is a MISTAKE_KINDS key.
+ */
+export function gradePrediction(prediction,event){
+    if (prediction.type!==event.type){
+        return {correct:false,mistake:event.type==='HIT'?'missed-hit':'missed-fault'};
+    }
+    if (event.type==='FAULT' && prediction.frame!==event.replacedFrameIndex){
+        return {correct:false,mistake:'wrong-victim'};
+    }
+    return {correct:true,mistake:null};
+}
+
+/**
+ * Sums up the answers given so far.
+ * @param {{step:number,correct:boolean,mistake:string|null}[]} answers - One per question.
+ * @returns {{asked:number,correct:number,mistakes:{kind:string,label:string,steps:number[]}[]}}
+ *          The score and, for every kind of mistake made, the steps it was made at.
+ */
+export function summarizeQuiz(answers){
+    const mistakes=Object.entries(MISTAKE_KINDS).map(([kind,label]) => ({
+        kind,
+        label,
+        steps:answers.filter(a => a.mistake===kind).map(a => a.step)
+    })).filter(m => m.steps.length>0);
+    return {
+        asked:answers.length,
+        correct:answers.filter(a => a.correct).length,
+        mistakes
+    };
+}
+
+/**
+ * Names a quiz, so students can check they were given the same questions.
+ * Every setting that changes the answers is part of the code.
+ * @param {string} algorithm - The algorithm key.
+ * @param {number} numFrames - The number of physical memory frames.
+ * @param {number[]} pages - The page string.
+ * @param {boolean[]} writes - One flag per reference, true for writes.
+ * @param {object} [options] - The simulation settings (tieBreaker, lruK, tlb).
+ * @returns {string} Eight hex digits (FNV-1a of the scenario).
+ */
+export function quizCode(algorithm,numFrames,pages,writes,options={}){
+    // Only the settings the algorithm reads, so e.g. FIFO ignores the tie-breaker
+    const settings=[];
+    if (algorithm==='lfu' || algorithm==='mfu') settings.push(`tie=${options.tieBreaker ?? 'fifo'}`);
+    if (algorithm==='lru-k') settings.push(`k=${options.lruK ?? ADAPTIVE_DEFAULTS.lruK}`);
+    if (options.tlb) settings.push(`tlb=${options.tlb.size}/${options.tlb.policy}/${options.tlb.seed}`);
+    const text=[algorithm,numFrames,pages.map((p,i) => writes[i]?`${p}w`:p).join(','),...settings].join('|');
+    let hash=0x811c9dc5;
+    for (let i=0;i<text.length;i++){
+        hash^=text.charCodeAt(i);
+        hash=Math.imul(hash,0x01000193);
+    }
+    return (hash>>>0).toString(16).padStart(8,'0');
+}
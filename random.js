@@ -0,0 +1,44 @@
+/* * -----------------------------------------------------------------
+ * random.js
+ * -----------------------------------------------------------------
+ * This file holds the seeded pseudo-random number generator
+ * (Mulberry32). The same seed always gives the same sequence,
+ * so generated strings can be reproduced exactly.
+ * -----------------------------------------------------------------
+ */
+
+/**
+ * Advances the generator by one step. Pure: the caller keeps the
+ * returned seed, which makes it easy to store inside a state.
+ * @param {number} seed - The current 32-bit generator state.
+ * @returns {{value:number,seed:number}} A number in [0, 1) and the next state.
+ */
+export function nextRandom(seed){
+    const next=(seed+0x6D2B79F5)>>>0;
+    let t=next;
+    t=Math.imul(t^(t>>>15),t|1);
+    t^=t+Math.imul(t^(t>>>7),t|61);
+    return {value:((t^(t>>>14))>>>0)/4294967296,seed:next};
+}
+
+/**
+ * Creates a random function seeded with the given value.
+ * @param {number} seed - Any integer; only the low 32 bits are used.
+ * @returns {function(): number} Returns numbers in [0, 1).
+ */
+export function createRandom(seed){
+    let state=seed>>>0;
+    return () => {
+        const step=nextRandom(state);
+        state=step.seed;
+        return step.value;
+    };
+}
+
+/**
+ * Picks a fresh seed for when the user leaves the seed empty.
+ * @returns {number} A random 32-bit integer.
+ */
+export function randomSeed(){
+    return Math.floor(Math.random()*4294967296);
+}
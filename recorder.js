@@ -0,0 +1,148 @@
+/* * -----------------------------------------------------------------
+ * recorder.js
+ * -----------------------------------------------------------------
+ * This file records a whole run for slides and videos. It replays
+ * the simulation from step 0 to the end on an offscreen copy of
+ * the controller (so the interactive one is never touched) and
+ * encodes the frames as an animated GIF or a WebM video.
+ * -----------------------------------------------------------------
+ */
+
+// Import the GIF encoder
+import { createGif,addGifFrame,finishGif } from './gif.js';
+
+// Formats the run can be recorded in
+export const RECORDING_FORMATS={
+    gif:'Animated GIF',
+    webm:'WebM video'
+};
+
+// How long the last frame stays up before the animation ends or loops
+const FINAL_HOLD=1500;
+
+/**
+ * Checks whether this browser can record a canvas as WebM.
+ * @returns {boolean} True if canvas capture and a WebM MediaRecorder are available.
+ */
+export function canRecordWebm(){
+    return typeof MediaRecorder!=='undefined' &&
+           typeof HTMLCanvasElement.prototype.captureStream==='function' &&
+           MediaRecorder.isTypeSupported('video/webm');
+}
+
+/**
+ * Replays a simulation from the first to the last step and encodes it.
+ * @param {object} sim - The simulation, multi-process or comparison controller to record.
+ * @param {{format:string,stepsPerSecond:number,width:number}} settings - 'gif' or 'webm',
+ *        the playback speed and the frame width in pixels.
+ * @param {function(number,number):void} onProgress - Called with (frames done, total frames).
+ * @param {AbortSignal} signal - Aborting it cancels the recording.
+ * @returns {Promise<Blob|null>} The recording, or null if it was cancelled.
+ */
+export async function recordRun(sim,settings,onProgress,signal){
+    const replay=sim.createReplay(settings.width);
+    try {
+        // One frame before the first reference, one per reference and the final DONE frame
+        const total=replay.pageString.length+2;
+        const delay=1000/settings.stepsPerSecond;
+
+        const first=renderFrame(replay);
+        const out=document.createElement('canvas');
+        out.width=first.width;
+        out.height=first.height;
+        const ctx=out.getContext('2d',{willReadFrequently:settings.format==='gif'});
+
+        // Copies a frame onto a white background (the simulation canvas is transparent)
+        const paint=(frame) => {
+            ctx.fillStyle='#ffffff';
+            ctx.fillRect(0,0,out.width,out.height);
+            ctx.drawImage(frame,0,0);
+        };
+        const frames=function*(){
+            yield first;
+            while (!replay.isFinished){
+                replay.stepForward();
+                yield renderFrame(replay);
+            }
+        };
+
+        const job={out,ctx,paint,frames:frames(),total,delay};
+        return settings.format==='webm'
+            ? await recordWebm(job,onProgress,signal)
+            : await recordGif(job,onProgress,signal);
+    } finally {
+        replay.destroy();
+    }
+}
+
+/**
+ * Draws the replay's current step and returns the image.
+ * @param {object} replay - The offscreen controller.
+ * @returns {HTMLCanvasElement} The frame.
+ */
+function renderFrame(replay){
+    replay.draw();
+    // The comparison view stacks its lanes into one image
+    return replay.renderComposite?replay.renderComposite():replay.canvas;
+}
+
+/**
+ * Encodes the frames as an animated GIF. Yields to the browser after
+ * every frame so the page stays responsive.
+ * @param {object} job - { out, ctx, paint, frames, total, delay } from recordRun.
+ * @param {function(number,number):void} onProgress - Called with (frames done, total frames).
+ * @param {AbortSignal} signal - Aborting it cancels the recording.
+ * @returns {Promise<Blob|null>} The GIF, or null if cancelled.
+ */
+async function recordGif({out,ctx,paint,frames,total,delay},onProgress,signal){
+    const gif=createGif(out.width,out.height);
+    let done=0;
+    for (const frame of frames){
+        if (signal.aborted) return null;
+        paint(frame);
+        addGifFrame(gif,ctx.getImageData(0,0,out.width,out.height).data,done===total-1?delay+FINAL_HOLD:delay);
+        onProgress(++done,total);
+        await wait(0);
+    }
+    return signal.aborted?null:new Blob(finishGif(gif),{type:'image/gif'});
+}
+
+/**
+ * Records the frames as a WebM video. MediaRecorder works in real
+ * time, so this takes as long as the video plays.
+ * @param {object} job - { out, paint, frames, total, delay } from recordRun.
+ * @param {function(number,number):void} onProgress - Called with (frames done, total frames).
+ * @param {AbortSignal} signal - Aborting it cancels the recording.
+ * @returns {Promise<Blob|null>} The video, or null if cancelled.
+ */
+async function recordWebm({out,paint,frames,total,delay},onProgress,signal){
+    const stream=out.captureStream(0);
+    const track=stream.getVideoTracks()[0];
+    const recorder=new MediaRecorder(stream,{mimeType:'video/webm'});
+    const chunks=[];
+    recorder.ondataavailable=(e) => { if (e.data.size>0) chunks.push(e.data); };
+    const stopped=new Promise(resolve => { recorder.onstop=resolve; });
+
+    recorder.start();
+    let done=0;
+    for (const frame of frames){
+        if (signal.aborted) break;
+        paint(frame);
+        track.requestFrame();
+        await wait(done===total-1?delay+FINAL_HOLD:delay);
+        onProgress(++done,total);
+    }
+    recorder.stop();
+    await stopped;
+    track.stop();
+    return signal.aborted?null:new Blob(chunks,{type:'video/webm'});
+}
+
+/**
+ * Resolves after a delay.
+ * @param {number} ms - The delay in milliseconds.
+ * @returns {Promise<void>}
+ */
+function wait(ms){
+    return new Promise(resolve => setTimeout(resolve,ms));
+}
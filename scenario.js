@@ -0,0 +1,127 @@
+/* * -----------------------------------------------------------------
+ * scenario.js
+ * -----------------------------------------------------------------
+ * This file turns a scenario (the setup form's settings) and the
+ * current step into a URL hash and back, so a simulation can be
+ * shared as a link. Decoding checks every field and throws an
+ * Error with a readable message for malformed or oversized links;
+ * the same check guards scenarios imported into the library.
+ * -----------------------------------------------------------------
+ */
+
+// Import the list of algorithms to validate against
+import { ALGORITHMS } from './engine.js';
+
+// Longest hash we accept (and produce)
+export const MAX_HASH_LENGTH=8192;
+
+// Version of the hash format, bumped if the fields change meaning
+const VERSION='1';
+
+// Every field a link may carry and the kind of value it holds
+const FIELDS={
+    algo:'algorithm',   // Selected algorithm
+    frames:'int',       // Number of frames
+    pages:'text',       // Page string exactly as typed
+    src:'text',         // Where the page string came from
+    tie:['fifo','lru','index'],
+    cmp:'algorithms',   // Compared algorithms (comparison mode)
+    addr:'int',         // Page size (address translation mode)
+    tlb:'int',          // TLB entries (TLB on)
+    tlbPolicy:['fifo','lru','random'],
+    tlbSeed:'int',
+    latTlb:'number',
+    latMem:'number',
+    latFault:'number',
+    ws:'int',           // Working set window
+    k:'int',            // LRU-K history depth
+    pffUp:'number',
+    pffLo:'number',
+    mp:'text',          // Process list (multi-process mode)
+    sched:['round-robin','order'],
+    q:'int',
+    order:'text',
+    scope:['local','global'],
+    alloc:['equal','proportional']
+};
+
+/**
+ * Encodes a scenario and step as a URL hash (without the '#').
+ * Empty, null and undefined values are left out.
+ * @param {object} scenario - Field name to value (see FIELDS).
+ * @param {number} step - How many steps the simulation has taken.
+ * @returns {string} The hash, e.g. "v=1&algo=lru&frames=3&pages=7%2C0%2C1&step=2".
+ */
+export function encodeScenario(scenario,step){
+    const params=new URLSearchParams({v:VERSION});
+    for (const [key,value] of Object.entries(scenario)){
+        if (value!==undefined && value!==null && value!=='') params.set(key,String(value));
+    }
+    params.set('step',String(step));
+    return params.toString();
+}
+
+/**
+ * Decodes a URL hash made by encodeScenario.
+ * @param {string} hash - The hash, with or without the leading '#'.
+ * @returns {{scenario:object,step:number}} The scenario (values as strings) and the step.
+ * @throws {Error} If the hash is too long, from another version, or has an invalid field.
+ */
+export function decodeScenario(hash){
+    const text=hash.startsWith('#')?hash.slice(1):hash;
+    if (text.length>MAX_HASH_LENGTH){
+        throw new Error(`This link is too long (${text.length} characters, the limit is ${MAX_HASH_LENGTH}).`);
+    }
+
+    const params=new URLSearchParams(text);
+    if (params.get('v')!==VERSION) throw new Error('This link was not made by this visualizer (or by a different version).');
+
+    const scenario={};
+    for (const [key,value] of params){
+        if (key!=='v' && key!=='step') scenario[key]=value;
+    }
+    checkScenario(scenario,'This link');
+
+    const step=params.get('step') ?? '0';
+    if (!isValid('int',step)) throw new Error('This link has an invalid step.');
+    return {scenario,step:Number(step)};
+}
+
+/**
+ * Checks that every field of a scenario is known and holds a valid
+ * value, and that it names an algorithm and a page string.
+ * @param {object} scenario - Field name to value (strings, as in a link).
+ * @param {string} label - How the messages name the scenario, e.g. 'This link'.
+ * @throws {Error} If a field is unknown or invalid, or a required one is missing.
+ */
+export function checkScenario(scenario,label){
+    for (const [key,value] of Object.entries(scenario)){
+        if (!Object.hasOwn(FIELDS,key)) throw new Error(`${label} has an unknown setting: ${key}.`);
+        if (typeof value!=='string' || !isValid(FIELDS[key],value)) throw new Error(`${label} has an invalid value for ${key}.`);
+    }
+    if (!('algo' in scenario) && !('cmp' in scenario)) throw new Error(`${label} does not name an algorithm.`);
+    if (!('pages' in scenario) && !('mp' in scenario)) throw new Error(`${label} has no page string.`);
+}
+
+/**
+ * Checks one value against its field kind.
+ * @param {string|string[]} kind - 'int', 'number', 'text', 'algorithm', 'algorithms' or the allowed values.
+ * @param {string} value - The raw value from the hash.
+ * @returns {boolean} True if the value fits.
+ */
+function isValid(kind,value){
+    if (Array.isArray(kind)) return kind.includes(value);
+    switch (kind){
+        case 'int':
+            return /^\d{1,10}$/.test(value);
+        case 'number':
+            return /^\d+(\.\d+)?(e[+-]?\d+)?$/i.test(value) && Number.isFinite(Number(value));
+        case 'algorithm':
+            return Object.hasOwn(ALGORITHMS,value);
+        case 'algorithms':
+            return value.split(',').every(a => Object.hasOwn(ALGORITHMS,a));
+        case 'text':
+        default:
+            return true;
+    }
+}
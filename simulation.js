@@ -2,56 +2,174 @@
  * simulation.js
  * -----------------------------------------------------------------
  * This file holds the simulation "state" (variables).
- * It imports and calls the algorithms.
+ * It steps the algorithms through the engine.
  * It also has the main drawing function.
  * -----------------------------------------------------------------
  */
 
-// Import the algorithm functions
-import { fifoStep,lruStep,optimalStep } from './algorithms.js';
+// Import the headless engine that runs the algorithms
+import { createInitialState,applyStep,isVariableAllocation,isAdaptivePolicy,peakFrames,VARIABLE_DEFAULTS,ADAPTIVE_DEFAULTS } from './engine.js';
+import { kDistance,twoQueueSizes } from './algorithms.js';
+// Import the checkpoint-plus-delta step history
+import { StateHistory } from './history.js';
+
+// Frames shown in one column at full size; more are squeezed or split into columns
+const FULL_SIZE_FRAMES=8;
+// Smallest vertical space a frame (box plus gap) is squeezed to
+const MIN_FRAME_STEP=44;
+// Horizontal space of one frame column: label, box and pointer text
+const FRAME_COLUMN_WIDTH=270;
+// Page-string zoom limits (1 = 40px boxes)
+const MIN_ZOOM=0.25;
+const MAX_ZOOM=2;
+
+// "Explain this step": the rule each policy follows and how its values read
+const EXPLANATIONS={
+    nextUse:{rule:'OPT evicts the page whose next use is furthest away',value:(v) => v===null?'never used again':`next use in ${steps(v)}`},
+    sinceUse:{rule:'LRU evicts the page unused for the longest time',value:(v) => `last used ${steps(v)} ago`},
+    loadedAt:{rule:'FIFO evicts the page that was loaded first',value:(v) => `loaded at step ${v}`}
+};
+
+// Lists ARC and 2Q draw beside the frames: where each is kept in the state, its name and role
+const POLICY_LISTS={
+    'arc':[
+        {field:'arc',key:'t1',name:'T1',role:'recent (seen once)',ghost:false},
+        {field:'arc',key:'t2',name:'T2',role:'frequent (seen twice or more)',ghost:false},
+        {field:'arc',key:'b1',name:'B1',role:'ghosts evicted from T1',ghost:true},
+        {field:'arc',key:'b2',name:'B2',role:'ghosts evicted from T2',ghost:true}
+    ],
+    '2q':[
+        {field:'twoQueue',key:'a1in',name:'A1in',role:'first use (FIFO)',ghost:false},
+        {field:'twoQueue',key:'am',name:'Am',role:'used again (LRU)',ghost:false},
+        {field:'twoQueue',key:'a1out',name:'A1out',role:'ghosts evicted from A1in (FIFO)',ghost:true}
+    ]
+};
+
+// ARC's target size p can be fractional; two decimals are plenty
+function roundTarget(p){
+    return Number(p.toFixed(2));
+}
+
+// "1 step", "3 steps"
+function steps(n){
+    return `${n} step${n===1?'':'s'}`;
+}
+
+/**
+ * Returns the height the frame column(s) need. Up to 8 frames keep
+ * their full size; past that they are laid out in up to three columns.
+ * @param {number} count - The number of frames.
+ * @returns {number} The height in pixels.
+ */
+export function framesHeight(count){
+    if (count<=FULL_SIZE_FRAMES) return count*80;
+    return Math.max(FULL_SIZE_FRAMES*80,Math.ceil(count/3)*MIN_FRAME_STEP);
+}
 
 // Main controller class for the simulation
 export class SimulationController{
     
     /**
      * @param {HTMLCanvasElement} canvas - The canvas element to draw on.
-     * @param {string} algo - The selected algorithm ('fifo', 'lru', 'optimal').
-     * @param {number} numFr - The number of physical memory frames.
+     * @param {string} algo - The selected algorithm ('fifo', 'lru', 'optimal', 'clock', 'enhanced-clock', 'lfu', 'mfu',
+     *                        'arc', '2q', 'lru-k', 'working-set', 'pff', or 'custom:<name>' for a user policy).
+     * @param {number} numFr - The number of physical memory frames (ignored by Working Set and PFF).
      * @param {number[]} pgStr - The array of page requests.
+     * @param {object} [options] - Extra settings: { tieBreaker:'fifo' } for LFU/MFU,
+     *                             { writes:[...] } to mark which references are writes,
+     *                             { canvasHeight:500 } for the drawing height in pixels,
+     *                             { addresses:[...], pageSize:4096 } for address translation mode,
+     *                             { tlb:{size,policy,seed} } to put a TLB in front of the page table,
+     *                             { wsWindow, pffUpper, pffLower } for the variable-allocation policies,
+     *                             { maxFrames } for their frame peak, if the caller has worked it out already,
+     *                             { lruK:2 } for LRU-K,
+     *                             { policySteps:[...] } for a user policy (see policies.js),
+     *                             { width:960 } for a fixed drawing width that ignores the page layout.
      */
-    constructor(canvas,algo,numFr,pgStr) {
+    constructor(canvas,algo,numFr,pgStr,options={}) {
         this.canvas=canvas;
         this.ctx=canvas.getContext('2d');
         this.algorithm=algo;
         this.numFrames=numFr;
         this.pageString=pgStr;
+        this.options={tieBreaker:'fifo',...options};
+        // Working Set and PFF grow and shrink the frame count; find the largest it gets
+        this.variable=isVariableAllocation(algo);
+        this.maxFrames=this.variable?(this.options.maxFrames ?? Math.max(1,peakFrames(algo,pgStr,this.options))):numFr;
+        // Tall enough for every frame above the page string (and for ARC's lists and target chart)
+        if (!this.options.canvasHeight) this.options.canvasHeight=Math.max(algo==='arc'?580:500,230+framesHeight(this.maxFrames));
+        // One flag per reference: true if that reference writes the page
+        this.writes=this.options.writes || new Array(pgStr.length).fill(false);
+        // Address translation mode: the virtual address behind each reference
+        this.addresses=this.options.addresses || null;
+        this.pageSize=this.options.pageSize || 0;
+        if (this.addresses){
+            // The page table lists every page the string touches
+            this.pageTablePages=[...new Set(pgStr)].sort((a,b) => a-b);
+        }
         
-        this.stateHistory=[]; // Stores snapshots for step-back
+        this.stateHistory=new StateHistory(); // Every state computed so far, kept when stepping back
+        this.cursor=0;        // Position of the current state in stateHistory
+        this.residentSizes=[]; // Resident pages after every recorded state (for the chart)
+        this.targetSizes=[];   // ARC's target size p after every recorded state (for its chart)
+        // Page-string viewport: box zoom, first box shown, and whether it follows the current reference
+        this.view={zoom:1,first:0,follow:true,pageIndex:-1};
         this.currentState=null;
         this.isFinished=false;
+        this.explain=false; // Annotate the frames with why the victim was chosen
 
         this.initState();
         this.recordState(); // Save the initial state
         
-        // Add a resize listener
-        this.resizeObs=new ResizeObserver(() => this.resizeCanvas());
-        this.resizeObs.observe(this.canvas.parentElement);
+        // Add a resize listener (a fixed width does not follow the container)
+        this.resizeObs=null;
+        if (!this.options.width){
+            this.resizeObs=new ResizeObserver(() => this.resizeCanvas());
+            this.resizeObs.observe(this.canvas.parentElement);
+        }
+        // Scroll and zoom the page string with the mouse wheel
+        this.wheelHandler=(e) => this.handleWheel(e);
+        this.canvas.addEventListener('wheel',this.wheelHandler,{passive:false});
+        this.clickHandler=(e) => this.handleClick(e);
+        this.canvas.addEventListener('click',this.clickHandler);
         this.resizeCanvas(); // Initial resize
     }
     
     // Cleans up listeners when the simulation is reset
     destroy(){
-        this.resizeObs.disconnect();
+        if (this.resizeObs) this.resizeObs.disconnect();
+        this.canvas.removeEventListener('wheel',this.wheelHandler);
+        this.canvas.removeEventListener('click',this.clickHandler);
+    }
+
+    /**
+     * Builds a fresh copy of this simulation on an offscreen canvas,
+     * back at step 0, for recording the run without touching this one.
+     * @param {number} width - The drawing width in pixels.
+     * @returns {SimulationController} The copy.
+     */
+    createReplay(width){
+        const canvas=document.createElement('canvas');
+        return new SimulationController(canvas,this.algorithm,this.numFrames,this.pageString,{...this.options,width});
+    }
+
+    /**
+     * Turns the "Explain this step" annotations on or off.
+     * @param {boolean} on - True to explain every replacement.
+     */
+    setExplain(on){
+        this.explain=on;
+        this.draw();
     }
 
     // Resizes the canvas to fit its container and recalculates coordinates
     resizeCanvas(){
         const container=this.canvas.parentElement;
-        if (!container) return;
+        if (!container && !this.options.width) return;
         
         // Set internal canvas resolution
-        this.canvas.width=container.clientWidth;
-        this.canvas.height=500; 
+        this.canvas.width=this.options.width || container.clientWidth;
+        this.canvas.height=this.options.canvasHeight; 
         
         // Recalculate coordinates based on new size
         this.calculateCoordinates();
@@ -63,34 +181,32 @@ export class SimulationController{
     // Sets up the initial state of the simulation
     initState(){
         this.currentState={
-            // Core Logic State
-            frames: new Array(this.numFrames).fill(null), // Physical memory
-            pageIndex:0,           // Current position in pageString
-            stats:{
-                pageFaults:0,
-                pageHits:0
-            },
-            
-            // Algorithm-specific state
-            // For FIFO:
-            fifoPointer:0,
-            // For LRU:
-            lruQueue:[], // Stores pages in order of use (most recent at end)
-
-            // UI / Animation State
-            lastEvent:{
-                type:'START', // 'START', 'HIT', 'FAULT', 'DONE'
-                page:null,
-                replaced:null
-            },
+            ...this.createState(),
             
             // Drawing coordinates (calculated once)
             coords:{} // Will be populated by calculateCoordinates
         };
         this.isFinished=false;
-        this.stateHistory=[];
+        this.stateHistory=new StateHistory();
+        this.cursor=0;
+        this.residentSizes=[];
+        this.targetSizes=[];
     }
     
+    // Builds the state before the first reference
+    createState(){
+        return createInitialState(this.variable?0:this.numFrames,this.options);
+    }
+
+    /**
+     * Processes the next reference.
+     * @param {object} state - The current state (not modified).
+     * @returns {object} The new state.
+     */
+    advance(state){
+        return applyStep(this.algorithm,state,this.pageString,this.writes,this.options);
+    }
+
     /**
      * Calculates and stores all coordinates for drawing.
      * This improves performance by not recalculating on every frame.
@@ -110,47 +226,88 @@ export class SimulationController{
         const topMargin=60;
         const bottomMargin=120;
         
-        // Page String Coordinates
-        const pgBoxSz=40;
-        const pgBoxPd=10;
-        const pgStrTotalWd=this.pageString.length*(pgBoxSz+pgBoxPd)-pgBoxPd;
-        let pageStringStartX=(canvasWidth-pgStrTotalWd)/2;
-
-        if (pageStringStartX<30) pageStringStartX=30;
-    
+        // Page String Coordinates: a strip the boxes are placed in when drawing
+        // (see layoutPageString), since a long string does not fit at once
         const pageStringY=canvasHeight-bottomMargin+40;
-        coords.pageStringLabel={x:Math.max(30,pageStringStartX),y:pageStringY-20};
-        
-        for (let i=0;i<this.pageString.length;i++){
-            coords.pageString.push({
-                x:pageStringStartX+i*(pgBoxSz+pgBoxPd),
-                y:pageStringY,
-                w:pgBoxSz,
-                h:pgBoxSz
-            });
-        }
+        coords.pageStrip={x:30,y:pageStringY,w:Math.max(40,canvasWidth-60)};
+        coords.pageStringLabel={x:30,y:pageStringY-20};
+        coords.pageStringRange={first:0,last:-1,fits:0};
 
         // Memory Frames Coordinates
         const frameWidth=100;
-        const frameHeight=60;
-        const framePadding=20;
-        const frameStartX=(canvasWidth/2)-50; 
+        let frameHeight=60;
+        let framePadding=20;
         const frameStartY=topMargin+40;
+        const frameSpace=coords.pageStringLabel.y-30-frameStartY;
+        // Split the frames into columns once they no longer fit in one, even squeezed
+        const columns=Math.ceil(this.maxFrames/Math.max(1,Math.floor(frameSpace/MIN_FRAME_STEP))) || 1;
+        const rows=Math.ceil(this.maxFrames/columns);
+        let frameStartX=columns===1?(canvasWidth/2)-50:Math.max(110,(canvasWidth-columns*FRAME_COLUMN_WIDTH)/2+80);
+        // Leave room for the page table on the left in address translation mode
+        if (this.addresses) frameStartX=Math.max(frameStartX,310);
         coords.framesLabel={x:frameStartX-framePadding,y:frameStartY-20};
+
+        // Squeeze the frames if they would run into the page string
+        if (rows*(frameHeight+framePadding)>frameSpace){
+            const step=frameSpace/rows;
+            frameHeight=step*0.75;
+            framePadding=step*0.25;
+        }
         
-        for (let i=0;i<this.numFrames;i++){
+        for (let i=0;i<this.maxFrames;i++){
+            const x=frameStartX+Math.floor(i/rows)*FRAME_COLUMN_WIDTH;
+            const y=frameStartY+(i%rows)*(frameHeight+framePadding);
             coords.frames.push({
-                x:frameStartX,
-                y:frameStartY+i*(frameHeight+framePadding),
+                x:x,
+                y:y,
                 w:frameWidth,
                 h:frameHeight,
-                labelX:frameStartX-framePadding,
-                labelY:frameStartY+i*(frameHeight+framePadding)+(frameHeight/2)
+                labelX:x-framePadding,
+                labelY:y+(frameHeight/2),
+                pointerX:x+frameWidth+framePadding // FIFO / clock / LRU notes beside this frame
             });
         }
         
-        // Pointer coordinates
-        coords.pointer.x=frameStartX+frameWidth+framePadding;
+        // Pointer coordinates (right of the last column)
+        coords.pointer.x=frameStartX+(columns-1)*FRAME_COLUMN_WIDTH+frameWidth+framePadding;
+
+        // Page table (address translation mode), left of the frame labels
+        const rowH=22;
+        coords.pageTable={
+            x:30,
+            y:frameStartY,
+            rowH:rowH,
+            colW:[70,50,50],
+            maxRows:Math.max(2,Math.floor((coords.pageStringLabel.y-30-frameStartY)/rowH)-1)
+        };
+        coords.translation={x:30,y:30};
+
+        // TLB entries, right of the algorithm pointers
+        coords.tlb={
+            x:coords.pointer.x+120,
+            y:frameStartY,
+            rowH:rowH,
+            colW:[50,50,50]
+        };
+
+        // Working set / PFF line and resident-set chart (right of the TLB, if any)
+        coords.variableInfo={x:30,y:this.addresses?56:30};
+        // Why the victim was chosen ("Explain this step")
+        coords.explain={x:30,y:this.addresses?82:30};
+        const chartX=this.options.tlb?coords.tlb.x+190:coords.pointer.x+100;
+        coords.rssChart={
+            x:chartX,
+            y:frameStartY,
+            w:canvasWidth-30-chartX,
+            h:Math.min(180,coords.pageStringLabel.y-40-frameStartY)
+        };
+        // ARC / 2Q lists and LRU-K history (in the chart's place; those policies have no chart)
+        coords.policyLists={
+            x:chartX,
+            y:frameStartY,
+            w:canvasWidth-30-chartX,
+            h:coords.pageStringLabel.y-40-frameStartY
+        };
         
         // Store coordinates in the state
         if (this.currentState){
@@ -159,19 +316,42 @@ export class SimulationController{
         return coords;
     }
 
-    // Saves a deep copy of the current state for history
+    // Saves the current state (as a change from the previous one) for history
     recordState(){
-        // Simple deep copy using JSON
-        const stateCopy=JSON.parse(JSON.stringify(this.currentState));
-        // We don't need to copy coords every time
-        stateCopy.coords=this.currentState.coords; 
-        this.stateHistory.push(stateCopy);
+        this.stateHistory.push(this.currentState);
+        this.cursor=this.stateHistory.length-1;
+        this.residentSizes.push(this.currentState.frames.filter(p => p!==null).length);
+        if (this.algorithm==='arc' && this.currentState.arc) this.targetSizes.push(this.currentState.arc.p);
+    }
+
+    // Index of the final (DONE) state: the start, one state per reference, then DONE
+    get lastStep(){
+        return this.pageString.length+1;
+    }
+
+    /**
+     * Makes a recorded state the current one.
+     * @param {number} index - Position in stateHistory.
+     */
+    moveTo(index){
+        const coords=this.currentState.coords;
+        this.cursor=index;
+        // The history hands out a fresh copy, so it can be changed freely
+        this.currentState=this.stateHistory.at(index);
+        this.currentState.coords=coords;
+        this.isFinished=this.currentState.lastEvent.type==='DONE';
     }
 
-    // The main logic tick. Calls the correct algorithm step
+    // The main logic tick. Replays a recorded state or calls the correct algorithm step
     stepForward(){
         if (this.isFinished) return;
 
+        // States already computed (before a step back or seek) are reused
+        if (this.cursor<this.stateHistory.length-1){
+            this.moveTo(this.cursor+1);
+            return;
+        }
+
         // Check if simulation is done
         if (this.currentState.pageIndex>=this.pageString.length) {
             this.isFinished=true;
@@ -180,50 +360,169 @@ export class SimulationController{
             return;
         }
 
-        // Get the current page
-        const currentPage=this.pageString[this.currentState.pageIndex];
-        
-        // Create a deep copy of the state to pass to the pure function
-        const stateToProcess=JSON.parse(JSON.stringify(this.currentState));
-        
-        // Call the appropriate algorithm function
-        let result;
-        switch (this.algorithm){
-            case 'fifo':
-                result=fifoStep(stateToProcess,currentPage);
-                break;
-            case 'lru':
-                result=lruStep(stateToProcess,currentPage);
-                break;
-            case 'optimal':
-                // Optimal needs to look ahead in the page string
-                const futureString=this.pageString.slice(this.currentState.pageIndex+1);
-                result=optimalStep(stateToProcess,currentPage,futureString);
-                break;
-        }
+        // Run the algorithm on a copy of the current state
+        const result=this.advance(this.currentState);
 
         // Update the state with the result from the algorithm
         // We must re-assign coords as they are not part of the deep copy
         result.coords=this.currentState.coords;
         this.currentState=result;
         
-        // Move to the next page
-        this.currentState.pageIndex++;
-        
         // Save this new state
         this.recordState();
     }
 
-    // Reverts to the previous state in history
+    // True for the algorithms that sweep a circular hand over reference bits
+    usesClockHand(){
+        return this.algorithm==='clock' || this.algorithm==='enhanced-clock';
+    }
+
+    // Moves back to the previous state, keeping the later ones for stepping forward again
     stepBackward(){
-        if (this.stateHistory.length>1) {
-            this.stateHistory.pop(); // Remove current state
-            const prevState=this.stateHistory[this.stateHistory.length-1];
-            // Create a deep copy to avoid mutation issues
-            this.currentState=JSON.parse(JSON.stringify(prevState));
-            this.currentState.coords=prevState.coords; 
-            this.isFinished=false;
+        if (this.cursor>0) this.moveTo(this.cursor-1);
+    }
+
+    /**
+     * Jumps to any step, computing the states up to it if needed.
+     * @param {number} step - 0 (before the first reference) to lastStep (done).
+     */
+    seek(step){
+        const target=Math.max(0,Math.min(step,this.lastStep));
+        if (this.stateHistory.length-1<target) {
+            // Compute on from the newest state
+            this.moveTo(this.stateHistory.length-1);
+            while (this.cursor<target) this.stepForward();
+        }
+        if (target!==this.cursor) this.moveTo(target);
+    }
+
+    /**
+     * Places the page-string boxes that fit in the strip. The strip follows
+     * the current reference unless it has been scrolled by hand since the
+     * last step.
+     * @param {object} coords - The drawing coordinates (pageString, pageStringRange
+     *                          and pageStringLabel are updated).
+     * @param {number} pageIndex - The current reference.
+     */
+    layoutPageString(coords,pageIndex){
+        const strip=coords.pageStrip;
+        const count=this.pageString.length;
+        const box=40*this.view.zoom;
+        const gap=10*this.view.zoom;
+        const fits=Math.max(1,Math.floor((strip.w+gap)/(box+gap)));
+
+        // Stepping brings the current reference back into view
+        if (pageIndex!==this.view.pageIndex){
+            this.view.pageIndex=pageIndex;
+            this.view.follow=true;
+        }
+        let startX=strip.x;
+        if (count<=fits){
+            // Everything fits: center the string
+            this.view.first=0;
+            startX=strip.x+(strip.w-(count*(box+gap)-gap))/2;
+        } else if (this.view.follow){
+            // Keep the current reference a third of the way in
+            this.view.first=pageIndex-Math.floor(fits/3);
+        }
+        this.view.first=Math.max(0,Math.min(this.view.first,count-fits));
+
+        const first=this.view.first;
+        const last=Math.min(count,first+fits)-1;
+        coords.pageString=[];
+        for (let i=first;i<=last;i++){
+            coords.pageString[i]={x:startX+(i-first)*(box+gap),y:strip.y,w:box,h:box};
         }
+        coords.pageStringRange={first,last,fits};
+        coords.pageStringLabel.x=Math.max(strip.x,startX);
+    }
+
+    /**
+     * Scrolls (wheel) or zooms (Ctrl + wheel) the page string when the
+     * pointer is over it.
+     * @param {WheelEvent} e - The wheel event.
+     */
+    handleWheel(e){
+        const coords=this.currentState.coords;
+        if (!coords.pageStrip) return;
+        const {x,y}=this.canvasPoint(e);
+        const strip=coords.pageStrip;
+        if (y<strip.y-40 || y>strip.y+40*MAX_ZOOM+20) return;
+
+        const range=coords.pageStringRange;
+        const zooming=e.ctrlKey || e.metaKey;
+        if (!zooming && this.pageString.length<=range.fits) return; // Nothing to scroll
+        e.preventDefault();
+
+        if (zooming){
+            // Keep the reference under the pointer in place
+            const step=50*this.view.zoom;
+            const under=range.first+(x-strip.x)/step;
+            this.view.zoom=Math.max(MIN_ZOOM,Math.min(MAX_ZOOM,this.view.zoom*(e.deltaY<0?1.25:0.8)));
+            this.view.first=Math.round(under-(x-strip.x)/(50*this.view.zoom));
+        } else {
+            const delta=Math.abs(e.deltaX)>Math.abs(e.deltaY)?e.deltaX:e.deltaY;
+            this.view.first+=Math.sign(delta)*Math.max(1,Math.round(range.fits/8));
+            this.view.follow=false;
+        }
+        this.draw();
+    }
+
+    /**
+     * Jumps the page string to the spot clicked on its overview bar.
+     * @param {MouseEvent} e - The click event.
+     */
+    handleClick(e){
+        const coords=this.currentState.coords;
+        const bar=coords.pageOverview;
+        if (!bar) return;
+        const {x,y}=this.canvasPoint(e);
+        if (y<bar.y-8 || y>bar.y+bar.h+8 || x<bar.x || x>bar.x+bar.w) return;
+        const range=coords.pageStringRange;
+        this.view.first=Math.round((x-bar.x)/bar.w*this.pageString.length-range.fits/2);
+        this.view.follow=false;
+        this.draw();
+    }
+
+    /**
+     * Converts a mouse event's position to canvas pixels.
+     * @param {MouseEvent} e - The event.
+     * @returns {{x:number,y:number}}
+     */
+    canvasPoint(e){
+        const scale=this.canvas.clientWidth>0?this.canvas.width/this.canvas.clientWidth:1;
+        return {x:e.offsetX*scale,y:e.offsetY*scale};
+    }
+
+    /**
+     * Draws the bar under a page string that does not fit: the whole
+     * string, the part shown and the current reference.
+     * @param {object} state - The state being drawn.
+     */
+    drawPageOverview(state) {
+        const coords = state.coords;
+        const range = coords.pageStringRange;
+        const count = this.pageString.length;
+        coords.pageOverview = null;
+        if (count <= range.fits) return;
+
+        const strip = coords.pageStrip;
+        const bar = {x: strip.x, y: strip.y + 40 * MAX_ZOOM + 8, w: strip.w, h: 4};
+        coords.pageOverview = bar;
+        const xOf = (i) => bar.x + (i / count) * bar.w;
+
+        this.ctx.fillStyle = "#e2e8f0";
+        this.ctx.fillRect(bar.x, bar.y, bar.w, bar.h);
+        this.ctx.fillStyle = "#94a3b8";
+        this.ctx.fillRect(xOf(range.first), bar.y, Math.max(2, xOf(range.last + 1) - xOf(range.first)), bar.h);
+        this.ctx.fillStyle = "#3b82f6";
+        this.ctx.fillRect(xOf(Math.min(state.pageIndex, count - 1)) - 1, bar.y - 3, 3, bar.h + 6);
+
+        this.ctx.font = "12px Inter";
+        this.ctx.fillStyle = "#64748b";
+        this.ctx.textAlign = "right";
+        this.ctx.textBaseline = "bottom";
+        this.ctx.fillText(`${range.first + 1}–${range.last + 1} of ${count} · wheel to scroll, Ctrl + wheel to zoom`, strip.x + strip.w, coords.pageStringLabel.y);
     }
 
     // The main drawing function
@@ -239,18 +538,22 @@ export class SimulationController{
         const coords = state.coords;
         const lastEvent = state.lastEvent;
 
-        // 1.Draw Page Reference String 
+        // 1.Draw Page Reference String (the part that fits)
+        this.layoutPageString(coords, state.pageIndex);
+        const range = coords.pageStringRange;
         this.ctx.font = "14px Inter";
         this.ctx.fillStyle = "#475569";
         this.ctx.textAlign = "left";
         this.ctx.textBaseline = "bottom";
         this.ctx.fillText("Page Reference String:", coords.pageStringLabel.x, coords.pageStringLabel.y);
         
-        this.ctx.font = "bold 16px Inter";
+        // Text shrinks with the zoom and is left out once the boxes get too small
+        const pageFont = `bold ${Math.round(16 * this.view.zoom)}px Inter`;
+        this.ctx.font = pageFont;
         this.ctx.textAlign = "center";
         this.ctx.textBaseline = "middle";
 
-        for (let i = 0; i < this.pageString.length; i++) {
+        for (let i = range.first; i <= range.last; i++) {
             const c = coords.pageString[i];
             // If coords are off-canvas (e.g., during resize), skip drawing
             if (!c) continue; 
@@ -280,8 +583,17 @@ export class SimulationController{
             // Text color
             if (i < state.pageIndex) this.ctx.fillStyle = "#94a3b8";
             else this.ctx.fillStyle = "#1e293b";
-            this.ctx.fillText(this.pageString[i], c.x + c.w / 2, c.y + c.h / 2);
+            if (c.w >= 14) this.ctx.fillText(this.pageString[i], c.x + c.w / 2, c.y + c.h / 2);
+
+            // Mark write references with a small 'w'
+            if (this.writes[i] && c.w >= 30) {
+                this.ctx.font = "bold 11px Inter";
+                this.ctx.fillStyle = "#b45309";
+                this.ctx.fillText("w", c.x + c.w - 7, c.y + c.h - 8);
+                this.ctx.font = pageFont;
+            }
         }
+        this.drawPageOverview(state);
         
         // Draw "Current Page" arrow
         if (!this.isFinished && coords.pageString[state.pageIndex]) {
@@ -308,7 +620,7 @@ export class SimulationController{
         this.ctx.textAlign = "center";
         this.ctx.textBaseline = "middle";
 
-        for (let i = 0; i < this.numFrames; i++) {
+        for (let i = 0; i < state.frames.length; i++) {
             const c = coords.frames[i];
             if (!c) continue; // Skip if coords not ready
             
@@ -336,6 +648,8 @@ export class SimulationController{
             this.ctx.stroke();
             
             // Draw page number
+            this.ctx.font = "bold 20px Inter";
+            this.ctx.textAlign = "center";
             if (page !== null) {
                 this.ctx.fillStyle = "#1e293b";
                 this.ctx.fillText(page, c.x + c.w / 2, c.y + c.h / 2);
@@ -343,6 +657,24 @@ export class SimulationController{
                 this.ctx.fillStyle = "#cbd5e1";
                 this.ctx.fillText("-", c.x + c.w / 2, c.y + c.h / 2);
             }
+
+            // Draw the dirty marker in the top-right corner
+            if (page !== null && state.modBits[i] === 1) {
+                this.ctx.font = "bold 11px Inter";
+                this.ctx.fillStyle = "#b45309";
+                this.ctx.textAlign = "right";
+                this.ctx.fillText("DIRTY", c.x + c.w - 5, c.y + 10);
+                this.ctx.textAlign = "center";
+            }
+
+            // Draw the reference (and modified) bits inside the frame
+            if (this.usesClockHand() && page !== null) {
+                let bitsText = `R:${state.refBits[i]}`;
+                if (this.algorithm === 'enhanced-clock') bitsText += ` M:${state.modBits[i]}`;
+                this.ctx.font = "11px Inter";
+                this.ctx.fillStyle = "#64748b";
+                this.ctx.fillText(bitsText, c.x + c.w / 2, c.y + c.h - 9);
+            }
             
             // Draw Frame Label
             this.ctx.font = "14px Inter";
@@ -351,24 +683,33 @@ export class SimulationController{
             this.ctx.fillText(`Frame ${i}:`, c.labelX, c.labelY);
         }
         
-        // 3.Draw Algorithm-Specific Pointers
+        // 3.Draw Algorithm-Specific Pointers (the explanation takes their place)
+        const explaining = this.explain && lastEvent.reasoning;
         this.ctx.font = "bold 14px Inter";
         this.ctx.textAlign = "left";
         this.ctx.textBaseline = "middle";
         
-        if (this.algorithm === 'fifo' && !this.isFinished) {
+        if (this.algorithm === 'fifo' && !this.isFinished && !explaining) {
             const c = coords.frames[state.fifoPointer];
             if (c) { // Check if coords are ready
                 const pointerY = c.labelY;
                 this.ctx.fillStyle = "#0284c7";
-                this.ctx.fillText("Next ➔", coords.pointer.x, pointerY);
+                this.ctx.fillText("Next ➔", c.pointerX, pointerY);
+            }
+        }
+
+        if (this.usesClockHand() && !this.isFinished) {
+            const c = coords.frames[state.clockHand];
+            if (c) {
+                this.ctx.fillStyle = "#7c3aed";
+                this.ctx.fillText("⬅ Hand", c.pointerX, c.labelY);
             }
         }
         
-        if (this.algorithm === 'lru') {
+        if (this.algorithm === 'lru' && !explaining) {
             this.ctx.font = "12px Inter";
             this.ctx.fillStyle = "#64748b";
-            for (let i = 0; i < this.numFrames; i++) {
+            for (let i = 0; i < state.frames.length; i++) {
                 const c = coords.frames[i];
                 if (!c) continue; // Check if coords are ready
                 
@@ -378,10 +719,628 @@ export class SimulationController{
                     let lruText = '';
                     if (lruIndex === 0) lruText = "(LRU)";
                     if (lruIndex === state.lruQueue.length - 1) lruText = "(MRU)";
-                    this.ctx.fillText(lruText, coords.pointer.x, c.labelY);
+                    this.ctx.fillText(lruText, c.pointerX, c.labelY);
                 }
             }
         }
+
+        if (this.algorithm === 'lfu' || this.algorithm === 'mfu') {
+            this.ctx.font = "12px Inter";
+            this.ctx.fillStyle = "#64748b";
+            for (let i = 0; i < state.frames.length; i++) {
+                const c = coords.frames[i];
+                if (!c) continue;
+
+                const page = state.frames[i];
+                if (page !== null) {
+                    this.ctx.fillText(`(count: ${state.refCounts[page]})`, c.pointerX, c.labelY);
+                }
+            }
+        }
+
+        if (isAdaptivePolicy(this.algorithm)) {
+            this.drawPolicyTags(state);
+            this.drawPolicyLists(state);
+        }
+
+        if (explaining) {
+            this.drawExplanation(state);
+        }
+
+        if (lastEvent.notes || lastEvent.reason) {
+            this.drawPolicyNotes(state);
+        }
+
+        // 4.Draw Address Translation
+        if (this.addresses) {
+            this.drawTranslation(state);
+            this.drawPageTable(state);
+        }
+
+        // 5.Draw TLB
+        if (state.tlb) {
+            this.drawTlb(state);
+        }
+
+        // 6.Draw Working Set / PFF
+        if (this.variable) {
+            this.drawVariableInfo(state);
+            this.drawResidentSetChart(state);
+        }
+    }
+
+    /**
+     * Annotates every frame with the value the policy weighed when it
+     * picked the victim (lastEvent.reasoning) and outlines the victim.
+     * @param {object} state - The state being drawn.
+     */
+    drawExplanation(state) {
+        const coords = state.coords;
+        const event = state.lastEvent;
+        const reasoning = event.reasoning;
+        const text = EXPLANATIONS[reasoning.metric];
+
+        this.ctx.textAlign = "left";
+        this.ctx.textBaseline = "middle";
+        for (const candidate of reasoning.candidates) {
+            const c = coords.frames[candidate.frame];
+            if (!c) continue;
+            let note = `${this.describePage(candidate.page)}: ${text.value(candidate.value)}`;
+            if (candidate.frame === reasoning.victimFrameIndex) {
+                this.ctx.strokeStyle = "#b91c1c";
+                this.ctx.lineWidth = 2;
+                this.ctx.setLineDash([6, 4]);
+                this.ctx.strokeRect(c.x - 5, c.y - 5, c.w + 10, c.h + 10);
+                this.ctx.setLineDash([]);
+                this.ctx.font = "bold 12px Inter";
+                this.ctx.fillStyle = "#b91c1c";
+                note = `✖ ${note}`;
+            } else {
+                this.ctx.font = "12px Inter";
+                this.ctx.fillStyle = "#475569";
+            }
+            this.ctx.fillText(note, c.pointerX, c.labelY);
+        }
+
+        this.ctx.font = "bold 14px Inter";
+        this.ctx.fillStyle = "#1e293b";
+        this.ctx.fillText(`Why ${this.describePage(event.replaced)}? ${text.rule}.`, coords.explain.x, coords.explain.y);
+    }
+
+    /**
+     * Draws the annotations a user policy returned with its decision:
+     * one note beside each frame and the reason for the victim.
+     * @param {object} state - The state being drawn.
+     */
+    drawPolicyNotes(state) {
+        const coords = state.coords;
+        const event = state.lastEvent;
+
+        this.ctx.textAlign = "left";
+        this.ctx.textBaseline = "middle";
+        this.ctx.font = "12px Inter";
+        this.ctx.fillStyle = "#0f766e";
+        (event.notes || []).forEach((note, i) => {
+            const c = coords.frames[i];
+            if (c && note) this.ctx.fillText(note, c.pointerX, c.labelY);
+        });
+
+        if (event.reason) {
+            const victim = event.type === 'FAULT' && event.replaced !== null;
+            this.ctx.font = "bold 14px Inter";
+            this.ctx.fillStyle = "#1e293b";
+            this.ctx.fillText(victim ? `Why ${this.describePage(event.replaced)}? ${event.reason}.` : event.reason, coords.explain.x, coords.explain.y);
+        }
+    }
+
+    /**
+     * Tags every frame with where its page sits in the policy's lists
+     * (ARC, 2Q) or with its backward K-distance (LRU-K). For ARC the
+     * line above the frames shows the target size p and how the last
+     * ghost hit moved it.
+     * @param {object} state - The state being drawn.
+     */
+    drawPolicyTags(state) {
+        const coords = state.coords;
+        const k = this.options.lruK ?? ADAPTIVE_DEFAULTS.lruK;
+
+        this.ctx.font = "12px Inter";
+        this.ctx.fillStyle = "#64748b";
+        this.ctx.textAlign = "left";
+        this.ctx.textBaseline = "middle";
+        for (let i = 0; i < state.frames.length; i++) {
+            const c = coords.frames[i];
+            const page = state.frames[i];
+            if (!c || page === null) continue;
+
+            let tag;
+            if (this.algorithm === 'lru-k') {
+                const distance = kDistance(state.history[page], k, state.pageIndex);
+                tag = `(K-dist: ${distance === Infinity ? "∞" : distance})`;
+            } else {
+                const list = POLICY_LISTS[this.algorithm].find(l => !l.ghost && state[l.field][l.key].includes(page));
+                tag = list ? `(${list.name})` : "";
+            }
+            this.ctx.fillText(tag, c.pointerX, c.labelY);
+        }
+
+        if (this.algorithm === 'arc') {
+            const arc = state.arc;
+            const event = state.lastEvent;
+            let text = `ARC target size of T1: p = ${roundTarget(arc.p)} of c = ${state.frames.length}`;
+            if (event.adapted) {
+                const favours = event.adapted.ghost === 'B1' ? "recency" : "frequency";
+                text += `  ·  ghost hit in ${event.adapted.ghost}: p ${roundTarget(event.adapted.from)} → ${roundTarget(event.adapted.to)} (favours ${favours})`;
+            }
+            this.ctx.font = "bold 14px Inter";
+            this.ctx.fillStyle = "#1e293b";
+            this.ctx.fillText(text, coords.variableInfo.x, coords.variableInfo.y);
+        }
+    }
+
+    /**
+     * Draws the ARC or 2Q lists (resident pages, then the dashed ghosts),
+     * LRU end first, or the LRU-K reference history, beside the frames.
+     * ARC also gets its target size p: a bar of the c frames split into
+     * T1 and T2 with p marked, and p after every step so far.
+     * @param {object} state - The state being drawn.
+     */
+    drawPolicyLists(state) {
+        const box = state.coords.policyLists;
+        if (box.w < 160 || box.h < 80) return; // No room next to the frames
+
+        const event = state.lastEvent;
+        const k = this.options.lruK ?? ADAPTIVE_DEFAULTS.lruK;
+        const { kin, kout } = twoQueueSizes(state.frames.length);
+        const titles = {
+            'arc': "ARC Lists (LRU end first):",
+            '2q': `2Q Queues (oldest first, Kin = ${kin}, Kout = ${kout}):`,
+            'lru-k': `LRU-K History (K = ${k}):`
+        };
+        this.ctx.font = "14px Inter";
+        this.ctx.fillStyle = "#475569";
+        this.ctx.textAlign = "left";
+        this.ctx.textBaseline = "bottom";
+        this.ctx.fillText(titles[this.algorithm], box.x, box.y - 20);
+
+        if (this.algorithm === 'lru-k') {
+            this.drawHistory(state, box, k);
+            return;
+        }
+
+        // 1.One row of page boxes per list
+        const size = 24;
+        const gap = 4;
+        const fits = Math.max(1, Math.floor(box.w / (size + gap)));
+        let y = box.y;
+        for (const list of POLICY_LISTS[this.algorithm]) {
+            const pages = state[list.field][list.key];
+            const ghost = list.ghost;
+            this.ctx.font = "12px Inter";
+            this.ctx.fillStyle = ghost ? "#94a3b8" : "#475569";
+            this.ctx.textAlign = "left";
+            this.ctx.textBaseline = "top";
+            this.ctx.fillText(`${list.name} · ${list.role} [${pages.length}]`, box.x, y);
+
+            // The MRU end is kept when the list is too long
+            const shown = pages.length > fits ? pages.slice(pages.length - fits + 1) : pages;
+            let x = box.x;
+            this.ctx.textAlign = "center";
+            this.ctx.textBaseline = "middle";
+            if (shown.length < pages.length) {
+                this.ctx.fillStyle = "#94a3b8";
+                this.ctx.fillText(`+${pages.length - shown.length}`, x + size / 2, y + 18 + size / 2);
+                x += size + gap;
+            }
+            for (const page of shown) {
+                let stroke = ghost ? "#cbd5e1" : "#94a3b8";
+                if (page === event.page) stroke = event.type === 'HIT' ? "#22c55e" : "#ef4444";
+                else if (page === event.replaced) stroke = "#f59e0b";
+                this.ctx.fillStyle = ghost ? "#f8fafc" : "#ffffff";
+                this.ctx.strokeStyle = stroke;
+                this.ctx.lineWidth = 2;
+                if (ghost) this.ctx.setLineDash([4, 3]);
+                this.ctx.fillRect(x, y + 18, size, size);
+                this.ctx.strokeRect(x, y + 18, size, size);
+                this.ctx.setLineDash([]);
+                this.ctx.font = "bold 12px Inter";
+                this.ctx.fillStyle = ghost ? "#94a3b8" : "#1e293b";
+                this.ctx.fillText(page, x + size / 2, y + 18 + size / 2);
+                x += size + gap;
+            }
+            y += size + 26;
+        }
+
+        if (this.algorithm === 'arc') this.drawArcTarget(state, box, y);
+    }
+
+    /**
+     * Draws ARC's target size p for T1: a bar of the c frames (T1 from
+     * the left, T2 from the right, p marked) and, if there is room, p
+     * after every step so far.
+     * @param {object} state - The state being drawn.
+     * @param {{x:number,y:number,w:number,h:number}} box - The list area.
+     * @param {number} top - Where below the lists to start.
+     */
+    drawArcTarget(state, box, top) {
+        const arc = state.arc;
+        const size = state.frames.length;
+
+        // 1.The frames split into T1 and T2, with the target marked
+        const barW = Math.min(box.w, 260);
+        const xOf = (v) => box.x + (size > 0 ? (v / size) * barW : 0);
+        this.ctx.fillStyle = "#e2e8f0";
+        this.ctx.fillRect(box.x, top, barW, 14);
+        this.ctx.fillStyle = "#93c5fd";
+        this.ctx.fillRect(box.x, top, xOf(arc.t1.length) - box.x, 14);
+        this.ctx.fillStyle = "#c4b5fd";
+        this.ctx.fillRect(xOf(size - arc.t2.length), top, xOf(size) - xOf(size - arc.t2.length), 14);
+        this.ctx.strokeStyle = "#f59e0b";
+        this.ctx.lineWidth = 3;
+        this.ctx.beginPath();
+        this.ctx.moveTo(xOf(arc.p), top - 4);
+        this.ctx.lineTo(xOf(arc.p), top + 18);
+        this.ctx.stroke();
+        this.ctx.font = "11px Inter";
+        this.ctx.fillStyle = "#475569";
+        this.ctx.textAlign = "left";
+        this.ctx.textBaseline = "top";
+        this.ctx.fillText(`|T1| = ${arc.t1.length}   |T2| = ${arc.t2.length}   p = ${roundTarget(arc.p)}`, box.x, top + 22);
+
+        // 2.p after every step so far
+        const chartTop = top + 50;
+        const chartH = Math.min(70, box.y + box.h - chartTop);
+        if (chartH < 30) return;
+        const count = this.pageString.length;
+        const values = this.targetSizes.slice(0, state.pageIndex + 1);
+        const stepX = (i) => box.x + (count > 0 ? (i / count) * barW : 0);
+        const valueY = (v) => chartTop + chartH - (size > 0 ? (v / size) * chartH : 0);
+
+        this.ctx.strokeStyle = "#94a3b8";
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.moveTo(box.x, chartTop);
+        this.ctx.lineTo(box.x, chartTop + chartH);
+        this.ctx.lineTo(box.x + barW, chartTop + chartH);
+        this.ctx.stroke();
+        this.ctx.textAlign = "right";
+        this.ctx.textBaseline = "middle";
+        this.ctx.fillText(size, box.x - 4, valueY(size));
+        this.ctx.fillText("0", box.x - 4, valueY(0));
+        this.ctx.textAlign = "center";
+        this.ctx.textBaseline = "top";
+        this.ctx.fillText("p per reference", box.x + barW / 2, chartTop + chartH + 4);
+
+        this.ctx.strokeStyle = "#f59e0b";
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        values.forEach((v, i) => {
+            if (i === 0) this.ctx.moveTo(stepX(0), valueY(v));
+            else {
+                this.ctx.lineTo(stepX(i), valueY(values[i - 1]));
+                this.ctx.lineTo(stepX(i), valueY(v));
+            }
+        });
+        this.ctx.stroke();
+    }
+
+    /**
+     * Draws the LRU-K reference history: one line per page seen, resident
+     * pages first (in bold), with the steps of its last K references and
+     * its backward K-distance, the value the next eviction compares.
+     * @param {object} state - The state being drawn.
+     * @param {{x:number,y:number,w:number,h:number}} box - The list area.
+     * @param {number} k - How many references back LRU-K looks.
+     */
+    drawHistory(state, box, k) {
+        const resident = (page) => state.frames.includes(page);
+        const pages = Object.keys(state.history).map(Number)
+            .sort((a, b) => (resident(b) - resident(a)) || a - b);
+        const rowH = 18;
+        // One row is kept for the "more" line
+        const rows = Math.max(1, Math.floor(box.h / rowH) - 1);
+
+        this.ctx.textAlign = "left";
+        this.ctx.textBaseline = "top";
+        pages.slice(0, rows).forEach((page, i) => {
+            const uses = state.history[page];
+            const distance = kDistance(uses, k, state.pageIndex);
+            const inMemory = resident(page);
+            this.ctx.font = inMemory ? "bold 12px Inter" : "12px Inter";
+            this.ctx.fillStyle = page === state.lastEvent.page ? "#0284c7" : inMemory ? "#1e293b" : "#94a3b8";
+            const text = `Page ${page}: steps ${uses.map(t => t + 1).join(", ")} · K-dist ${distance === Infinity ? "∞" : distance}${inMemory ? "" : " (history only)"}`;
+            this.ctx.fillText(text, box.x, box.y + i * rowH);
+        });
+        if (pages.length > rows) {
+            this.ctx.font = "12px Inter";
+            this.ctx.fillStyle = "#94a3b8";
+            this.ctx.fillText(`+${pages.length - rows} more`, box.x, box.y + rows * rowH);
+        }
+    }
+
+    /**
+     * Names a page in the explanation.
+     * @param {number} page - The page number.
+     * @returns {string} e.g. "page 7".
+     */
+    describePage(page) {
+        return `page ${page}`;
+    }
+
+    /**
+     * Draws the current working set (Working Set) or the last fault
+     * rate and decision (PFF), plus the pages just released.
+     * @param {object} state - The state being drawn.
+     */
+    drawVariableInfo(state) {
+        const pos = state.coords.variableInfo;
+        const lastEvent = state.lastEvent;
+        const resident = state.frames.filter(p => p !== null);
+        let text;
+        if (this.algorithm === 'working-set') {
+            const delta = this.options.wsWindow ?? VARIABLE_DEFAULTS.wsWindow;
+            const set = lastEvent.workingSet || [];
+            text = `Working set W(t, Δ=${delta}) = {${set.join(', ')}}  ·  |W| = ${set.length}`;
+        } else {
+            text = `Resident pages: ${resident.length}`;
+            if (lastEvent.decision) {
+                const action = {grow: "add a frame", shrink: "release unused pages", keep: "replace LRU page"}[lastEvent.decision];
+                text += `  ·  fault rate ${lastEvent.faultRate.toFixed(2)} → ${action}`;
+            }
+        }
+        if (lastEvent.released && lastEvent.released.length > 0) {
+            text += `  ·  released ${lastEvent.released.map(r => r.page).join(', ')}`;
+        }
+
+        this.ctx.font = "bold 14px Inter";
+        this.ctx.fillStyle = "#1e293b";
+        this.ctx.textAlign = "left";
+        this.ctx.textBaseline = "middle";
+        this.ctx.fillText(text, pos.x, pos.y);
+    }
+
+    /**
+     * Plots the resident-set size after every processed reference.
+     * @param {object} state - The state being drawn.
+     */
+    drawResidentSetChart(state) {
+        const c = state.coords.rssChart;
+        if (c.w < 120 || c.h < 60) return; // No room next to the frames
+
+        const steps = this.pageString.length;
+        const sizes = this.residentSizes.slice(0, state.pageIndex + 1);
+        const top = c.y + 20;
+        const plotH = c.h - 40;
+        const xOf = (i) => c.x + (steps > 0 ? (i / steps) * c.w : 0);
+        const yOf = (n) => top + plotH - (n / this.maxFrames) * plotH;
+
+        // Title and axes
+        this.ctx.font = "14px Inter";
+        this.ctx.fillStyle = "#475569";
+        this.ctx.textAlign = "left";
+        this.ctx.textBaseline = "bottom";
+        this.ctx.fillText("Resident Set Size:", c.x, c.y - 20);
+
+        this.ctx.strokeStyle = "#94a3b8";
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.moveTo(c.x, top);
+        this.ctx.lineTo(c.x, top + plotH);
+        this.ctx.lineTo(c.x + c.w, top + plotH);
+        this.ctx.stroke();
+
+        this.ctx.font = "11px Inter";
+        this.ctx.textAlign = "right";
+        this.ctx.textBaseline = "middle";
+        this.ctx.fillText(this.maxFrames, c.x - 4, yOf(this.maxFrames));
+        this.ctx.fillText("0", c.x - 4, yOf(0));
+        this.ctx.textAlign = "center";
+        this.ctx.textBaseline = "top";
+        this.ctx.fillText("reference", c.x + c.w / 2, top + plotH + 4);
+
+        // Step line: the size holds until the next reference
+        this.ctx.strokeStyle = "#3b82f6";
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        // (only the changes are drawn, so long strings stay cheap)
+        sizes.forEach((n, i) => {
+            if (i === 0) this.ctx.moveTo(xOf(0), yOf(n));
+            else if (n !== sizes[i - 1]) {
+                this.ctx.lineTo(xOf(i), yOf(sizes[i - 1]));
+                this.ctx.lineTo(xOf(i), yOf(n));
+            }
+        });
+        this.ctx.lineTo(xOf(sizes.length - 1), yOf(sizes[sizes.length - 1]));
+        this.ctx.stroke();
+
+        // Current size
+        const last = sizes.length - 1;
+        this.ctx.fillStyle = "#1d4ed8";
+        this.ctx.beginPath();
+        this.ctx.arc(xOf(last), yOf(sizes[last]), 4, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.font = "bold 12px Inter";
+        this.ctx.textBaseline = "bottom";
+        this.ctx.fillText(sizes[last], xOf(last), yOf(sizes[last]) - 6);
+    }
+
+    /**
+     * Draws the TLB entries, highlighting the one used by the last reference:
+     * green for a TLB hit, amber for the entry just filled after a miss.
+     * @param {object} state - The state being drawn.
+     */
+    drawTlb(state) {
+        const t = state.coords.tlb;
+        const [slotW, pageW, frameW] = t.colW;
+        const tableW = slotW + pageW + frameW;
+        const lastEvent = state.lastEvent;
+        const entries = state.tlb.entries;
+
+        // Header
+        this.ctx.font = "14px Inter";
+        this.ctx.fillStyle = "#475569";
+        this.ctx.textAlign = "left";
+        this.ctx.textBaseline = "bottom";
+        this.ctx.fillText(`TLB (${this.options.tlb.policy.toUpperCase()}):`, t.x, t.y - 20);
+
+        this.ctx.font = "bold 12px Inter";
+        this.ctx.textAlign = "center";
+        this.ctx.textBaseline = "middle";
+        this.ctx.fillStyle = "#f1f5f9";
+        this.ctx.fillRect(t.x, t.y, tableW, t.rowH);
+        this.ctx.fillStyle = "#1e293b";
+        this.ctx.fillText("Entry", t.x + slotW / 2, t.y + t.rowH / 2);
+        this.ctx.fillText("Page", t.x + slotW + pageW / 2, t.y + t.rowH / 2);
+        this.ctx.fillText("Frame", t.x + slotW + pageW + frameW / 2, t.y + t.rowH / 2);
+
+        // Entries
+        this.ctx.font = "12px Inter";
+        entries.forEach((entry, row) => {
+            const y = t.y + (row + 1) * t.rowH;
+
+            let fill = "#ffffff";
+            if (row === lastEvent.tlbSlot) fill = lastEvent.access === 'TLB_HIT' ? "#dcfce7" : "#fef3c7";
+            this.ctx.fillStyle = fill;
+            this.ctx.fillRect(t.x, y, tableW, t.rowH);
+
+            this.ctx.fillStyle = "#64748b";
+            this.ctx.fillText(row, t.x + slotW / 2, y + t.rowH / 2);
+            this.ctx.fillStyle = entry ? "#1e293b" : "#cbd5e1";
+            this.ctx.fillText(entry ? entry.page : "-", t.x + slotW + pageW / 2, y + t.rowH / 2);
+            this.ctx.fillText(entry ? entry.frame : "-", t.x + slotW + pageW + frameW / 2, y + t.rowH / 2);
+        });
+
+        // Grid lines
+        this.ctx.strokeStyle = "#cbd5e1";
+        this.ctx.lineWidth = 1;
+        const rows = entries.length + 1;
+        for (let r = 0; r <= rows; r++) {
+            this.ctx.beginPath();
+            this.ctx.moveTo(t.x, t.y + r * t.rowH);
+            this.ctx.lineTo(t.x + tableW, t.y + r * t.rowH);
+            this.ctx.stroke();
+        }
+        for (const x of [0, slotW, slotW + pageW, tableW]) {
+            this.ctx.beginPath();
+            this.ctx.moveTo(t.x + x, t.y);
+            this.ctx.lineTo(t.x + x, t.y + rows * t.rowH);
+            this.ctx.stroke();
+        }
+    }
+
+    /**
+     * Draws how the last virtual address was split and translated.
+     * @param {object} state - The state being drawn.
+     */
+    drawTranslation(state) {
+        const pos = state.coords.translation;
+        const index = state.pageIndex - 1;
+        this.ctx.font = "bold 14px Inter";
+        this.ctx.textAlign = "left";
+        this.ctx.textBaseline = "middle";
+
+        if (index < 0 || index >= this.addresses.length) {
+            this.ctx.fillStyle = "#64748b";
+            this.ctx.fillText(`Address translation (page size ${this.pageSize} bytes)`, pos.x, pos.y);
+            return;
+        }
+
+        const address = this.addresses[index];
+        const page = this.pageString[index];
+        const offset = address % this.pageSize;
+        const frame = state.frames.indexOf(page);
+        const physical = frame * this.pageSize + offset;
+        const fault = state.lastEvent.type === 'FAULT' ? " (page fault)" : "";
+
+        this.ctx.fillStyle = "#1e293b";
+        this.ctx.fillText(
+            `VA ${toHex(address)} → page ${page}, offset ${toHex(offset)} → frame ${frame}${fault} → PA ${toHex(physical)}`,
+            pos.x, pos.y
+        );
+    }
+
+    /**
+     * Draws the page table (valid bit and frame number per page),
+     * highlighting the entries changed by the last reference.
+     * @param {object} state - The state being drawn.
+     */
+    drawPageTable(state) {
+        const t = state.coords.pageTable;
+        const [pageW, validW, frameW] = t.colW;
+        const tableW = pageW + validW + frameW;
+        const lastEvent = state.lastEvent;
+        const pages = this.pageTablePages;
+
+        // If the table is too long, show a window around the latest page
+        let first = 0;
+        if (pages.length > t.maxRows) {
+            const focus = Math.max(0, pages.indexOf(lastEvent.page));
+            first = Math.min(Math.max(0, focus - Math.floor(t.maxRows / 2)), pages.length - t.maxRows);
+        }
+        const visible = pages.slice(first, first + t.maxRows);
+
+        // Header
+        this.ctx.font = "14px Inter";
+        this.ctx.fillStyle = "#475569";
+        this.ctx.textAlign = "left";
+        this.ctx.textBaseline = "bottom";
+        this.ctx.fillText("Page Table:", t.x, t.y - 20);
+
+        this.ctx.font = "bold 12px Inter";
+        this.ctx.textAlign = "center";
+        this.ctx.textBaseline = "middle";
+        this.ctx.fillStyle = "#f1f5f9";
+        this.ctx.fillRect(t.x, t.y, tableW, t.rowH);
+        this.ctx.fillStyle = "#1e293b";
+        this.ctx.fillText("Page", t.x + pageW / 2, t.y + t.rowH / 2);
+        this.ctx.fillText("Valid", t.x + pageW + validW / 2, t.y + t.rowH / 2);
+        this.ctx.fillText("Frame", t.x + pageW + validW + frameW / 2, t.y + t.rowH / 2);
+
+        // Entries
+        this.ctx.font = "12px Inter";
+        visible.forEach((page, row) => {
+            const y = t.y + (row + 1) * t.rowH;
+            const frame = state.frames.indexOf(page);
+
+            let fill = "#ffffff";
+            if (lastEvent.type === 'FAULT' && page === lastEvent.page) fill = "#fee2e2";        // Just loaded
+            else if (lastEvent.type === 'FAULT' && page === lastEvent.replaced) fill = "#fef3c7"; // Just evicted
+            else if (lastEvent.type === 'HIT' && page === lastEvent.page) fill = "#dcfce7";
+            this.ctx.fillStyle = fill;
+            this.ctx.fillRect(t.x, y, tableW, t.rowH);
+
+            this.ctx.fillStyle = frame > -1 ? "#1e293b" : "#94a3b8";
+            this.ctx.fillText(page, t.x + pageW / 2, y + t.rowH / 2);
+            this.ctx.fillText(frame > -1 ? "1" : "0", t.x + pageW + validW / 2, y + t.rowH / 2);
+            this.ctx.fillText(frame > -1 ? frame : "-", t.x + pageW + validW + frameW / 2, y + t.rowH / 2);
+        });
+
+        // Grid lines
+        this.ctx.strokeStyle = "#cbd5e1";
+        this.ctx.lineWidth = 1;
+        const rows = visible.length + 1;
+        for (let r = 0; r <= rows; r++) {
+            this.ctx.beginPath();
+            this.ctx.moveTo(t.x, t.y + r * t.rowH);
+            this.ctx.lineTo(t.x + tableW, t.y + r * t.rowH);
+            this.ctx.stroke();
+        }
+        for (const x of [0, pageW, pageW + validW, tableW]) {
+            this.ctx.beginPath();
+            this.ctx.moveTo(t.x + x, t.y);
+            this.ctx.lineTo(t.x + x, t.y + rows * t.rowH);
+            this.ctx.stroke();
+        }
+
+        if (pages.length > visible.length) {
+            this.ctx.fillStyle = "#64748b";
+            this.ctx.textAlign = "left";
+            this.ctx.fillText(`Showing ${visible.length} of ${pages.length} pages`, t.x, t.y + rows * t.rowH + 12);
+        }
     }
 }
 
+// Formats a number as 0x-prefixed upper-case hex
+function toHex(n){
+    return `0x${n.toString(16).toUpperCase()}`;
+}
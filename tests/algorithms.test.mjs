@@ -0,0 +1,34 @@
+/* * -----------------------------------------------------------------
+ * tests/algorithms.test.mjs
+ * -----------------------------------------------------------------
+ * Pins behaviour of the replacement policies that is easy to break
+ * without noticing on the canvas. Run with: node --test tests/
+ * -----------------------------------------------------------------
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { simulate } from '../engine.js';
+
+test('Working Set keeps resident pages in their frames when another is released',() => {
+    const trace=simulate('working-set',0,[1,2,3,3,2,3],{wsWindow:3,tlb:{size:4,policy:'lru',seed:1}});
+    const released=trace.states[4];
+    assert.deepEqual(released.frames,[null,2,3]);
+    // The TLB entries still name the frames the pages are in
+    for (const entry of released.tlb.entries.filter(e => e!==null)){
+        assert.equal(released.frames[entry.frame],entry.page);
+    }
+});
+
+test('A released frame is reused by the next fault and only trailing free frames are dropped',() => {
+    const trace=simulate('working-set',0,[7,0,1,2,0,3,0,4,2,3,0,3,2],{wsWindow:4});
+    assert.deepEqual(trace.states[5].frames,[null,0,1,2]);
+    assert.deepEqual(trace.states[6].frames,[3,0,1,2]);
+    assert.equal(trace.events[5].replacedFrameIndex,0);
+});
+
+test('Enhanced Second-Chance does not clear reference bits on its first pass, unlike Clock',() => {
+    const pages=[3,5,0,1,3,1,0,5,1,2,0,0,0,5,1];
+    assert.equal(simulate('clock',3,pages).stats.pageFaults,9);
+    assert.equal(simulate('enhanced-clock',3,pages).stats.pageFaults,10);
+});
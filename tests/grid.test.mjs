@@ -0,0 +1,18 @@
+/* * -----------------------------------------------------------------
+ * tests/grid.test.mjs
+ * -----------------------------------------------------------------
+ * Checks the standalone grid export. Run with: node --test tests/
+ * -----------------------------------------------------------------
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { gridHtmlDocument } from '../grid.js';
+
+test('The exported grid escapes its title (e.g. a custom policy name)',() => {
+    const model={numFrames:1,columns:[{page:7,write:false,frames:[7],event:'FAULT',replacedFrameIndex:0,writeBack:false}],current:0,first:0,total:1};
+    const html=gridHtmlDocument(model,'<script>alert(1)</script> & co');
+    assert.ok(!html.includes('<script>'));
+    assert.ok(html.includes('<title>&lt;script&gt;alert(1)&lt;/script&gt; &amp; co</title>'));
+    assert.ok(html.includes('<h1>&lt;script&gt;alert(1)&lt;/script&gt; &amp; co</h1>'));
+});
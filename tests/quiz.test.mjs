@@ -0,0 +1,29 @@
+/* * -----------------------------------------------------------------
+ * tests/quiz.test.mjs
+ * -----------------------------------------------------------------
+ * Checks that the quiz code tells apart every scenario with
+ * different answers. Run with: node --test tests/
+ * -----------------------------------------------------------------
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { quizCode } from '../quiz.js';
+
+const PAGES=[7,0,1,2,0,3,0,4,2,3];
+const WRITES=PAGES.map(() => false);
+
+test('The LFU tie-breaker changes the quiz code',() => {
+    assert.notEqual(quizCode('lfu',3,PAGES,WRITES,{tieBreaker:'fifo'}),quizCode('lfu',3,PAGES,WRITES,{tieBreaker:'lru'}));
+});
+
+test('LRU-K depth and TLB settings change the quiz code',() => {
+    assert.notEqual(quizCode('lru-k',3,PAGES,WRITES,{lruK:2}),quizCode('lru-k',3,PAGES,WRITES,{lruK:3}));
+    const tlb={size:4,policy:'lru',seed:1};
+    assert.notEqual(quizCode('fifo',3,PAGES,WRITES,{tlb}),quizCode('fifo',3,PAGES,WRITES,{tlb:{...tlb,size:2}}));
+});
+
+test('Settings the algorithm ignores leave the quiz code alone',() => {
+    assert.equal(quizCode('fifo',3,PAGES,WRITES,{tieBreaker:'lru'}),quizCode('fifo',3,PAGES,WRITES));
+    assert.equal(quizCode('lfu',3,PAGES,WRITES),quizCode('lfu',3,PAGES,WRITES,{tieBreaker:'fifo'}));
+});
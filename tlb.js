@@ -0,0 +1,120 @@
+/* * -----------------------------------------------------------------
+ * tlb.js
+ * -----------------------------------------------------------------
+ * This file holds the optional TLB that sits in front of page
+ * replacement. It caches page -> frame translations, has its own
+ * replacement policy (FIFO, LRU or seeded random) and drops the
+ * entry of any page that is evicted from a memory frame.
+ * -----------------------------------------------------------------
+ */
+
+import { nextRandom } from './random.js';
+
+/**
+ * Builds the empty TLB part of a simulation state.
+ * @param {{size:number,policy:string,seed:number}} config - The TLB settings.
+ * @returns {object} The TLB state.
+ */
+export function createTlbState(config){
+    return {
+        entries:new Array(config.size).fill(null), // {page, frame} or null
+        loadTimes:new Array(config.size).fill(-1),
+        lastUseTimes:new Array(config.size).fill(-1),
+        rngSeed:config.seed>>>0 // Kept in the state so step-back replays the same choices
+    };
+}
+
+/**
+ * Runs the TLB for the reference just processed by the page
+ * replacement algorithm and records what happened in lastEvent:
+ * access is 'TLB_HIT', 'TLB_MISS_PAGE_HIT' or 'PAGE_FAULT'.
+ * @param {object} state - The state returned by an algorithm step.
+ * @param {{policy:string}} config - The TLB settings.
+ * @returns {object} The same state, with the TLB and its stats updated.
+ */
+export function trackTlb(state,config){
+    const tlb=state.tlb;
+    const event=state.lastEvent;
+    const time=state.pageIndex;
+
+    // A page that left memory must not be translated any more
+    const evicted=(event.released || []).map(r => r.page);
+    if (event.type==='FAULT' && event.replaced!==null) evicted.push(event.replaced);
+    for (const page of evicted){
+        const stale=tlb.entries.findIndex(e => e && e.page===page);
+        if (stale>-1) tlb.entries[stale]=null;
+    }
+
+    const slot=tlb.entries.findIndex(e => e && e.page===event.page);
+    if (slot>-1){
+        // 1.TLB Hit
+        state.stats.tlbHits++;
+        tlb.lastUseTimes[slot]=time;
+        event.access='TLB_HIT';
+        event.tlbSlot=slot;
+        return state;
+    }
+
+    // 2.TLB Miss: walk the page table (faulting if needed), then cache the translation
+    state.stats.tlbMisses++;
+    event.access=event.type==='HIT'?'TLB_MISS_PAGE_HIT':'PAGE_FAULT';
+
+    let victim=tlb.entries.indexOf(null);
+    if (victim===-1) victim=chooseTlbVictim(tlb,config.policy);
+    tlb.entries[victim]={page:event.page,frame:state.frames.indexOf(event.page)};
+    tlb.loadTimes[victim]=time;
+    tlb.lastUseTimes[victim]=time;
+    event.tlbSlot=victim;
+    return state;
+}
+
+/**
+ * Picks the TLB entry to overwrite when the TLB is full.
+ * @param {object} tlb - The TLB state.
+ * @param {string} policy - 'fifo', 'lru' or 'random'.
+ * @returns {number} The entry index.
+ */
+function chooseTlbVictim(tlb,policy){
+    switch (policy){
+        case 'lru':
+            return indexOfMin(tlb.lastUseTimes);
+        case 'random': {
+            const step=nextRandom(tlb.rngSeed);
+            tlb.rngSeed=step.seed;
+            return Math.floor(step.value*tlb.entries.length);
+        }
+        case 'fifo':
+        default:
+            return indexOfMin(tlb.loadTimes);
+    }
+}
+
+// Returns the index of the smallest value
+function indexOfMin(values){
+    let best=0;
+    for (let i=1;i<values.length;i++){
+        if (values[i]<values[best]) best=i;
+    }
+    return best;
+}
+
+/**
+ * Computes the effective access time from the access counts:
+ *   TLB hit:               TLB + memory
+ *   TLB miss, page hit:    TLB + 2 x memory (page table, then data)
+ *   Page fault:            TLB + 2 x memory + fault service
+ * @param {object} stats - The simulation stats (pageHits, pageFaults, tlbHits).
+ * @param {{memory:number,tlb:number,fault:number}} latencies - Times in the user's unit.
+ * @returns {number} The average time per reference (0 before the first one).
+ */
+export function effectiveAccessTime(stats,latencies){
+    const total=stats.pageHits+stats.pageFaults;
+    if (total===0) return 0;
+    const {memory,tlb,fault}=latencies;
+    const tlbHits=stats.tlbHits;
+    const pageHitsAfterMiss=stats.pageHits-tlbHits;
+    const time=tlbHits*(tlb+memory)
+        +pageHitsAfterMiss*(tlb+2*memory)
+        +stats.pageFaults*(tlb+2*memory+fault);
+    return time/total;
+}
@@ -0,0 +1,77 @@
+/* * -----------------------------------------------------------------
+ * traces.js
+ * -----------------------------------------------------------------
+ * This file turns memory traces into page reference strings.
+ * It reads valgrind lackey output (--tool=lackey --trace-mem=yes)
+ * and plain files of hex addresses, splits each virtual address
+ * by the page size, and reports malformed lines by line number.
+ * -----------------------------------------------------------------
+ */
+
+// Lackey: "I  04000000,3", " L 04222cac,4", " S ...", " M ..."
+const LACKEY_LINE=/^\s*([ILSM])\s+([0-9a-f]+),(\d+)\s*$/i;
+// Plain: "0x7ffe1234", "7ffe1234", optionally with an R/W before or after
+const PLAIN_LINE=/^\s*(?:([RW])[\s,:]+)?(?:0x)?([0-9a-f]+)(?:[\s,:]+([RW]))?\s*$/i;
+
+/**
+ * Parses a trace file into page numbers.
+ * @param {string} text - The contents of the trace file.
+ * @param {object} options - { pageSize (bytes), collapse (merge consecutive duplicates) }.
+ * @returns {{pages:number[],writes:boolean[],errors:{line:number,text:string}[],references:number}}
+ *          The pages and write flags, the malformed lines, and how many
+ *          addresses were read before collapsing.
+ */
+export function parseTrace(text,{pageSize,collapse}){
+    const size=BigInt(pageSize);
+    const pages=[];
+    const writes=[];
+    const errors=[];
+    let references=0;
+
+    text.split(/\r?\n/).forEach((raw,i) => {
+        const line=raw.trim();
+        // Skip blank lines, comments and valgrind's own "==1234==" messages
+        if (line==='' || line.startsWith('#') || line.startsWith('==') || line.startsWith('--')) return;
+
+        let address;
+        let isWrite;
+        let match=LACKEY_LINE.exec(raw);
+        if (match){
+            address=match[2];
+            // Stores and modifies both dirty the page
+            isWrite=match[1].toUpperCase()==='S' || match[1].toUpperCase()==='M';
+        } else if ((match=PLAIN_LINE.exec(raw)) && !(match[1] && match[3])){
+            address=match[2];
+            isWrite=(match[1] || match[3] || '').toUpperCase()==='W';
+        } else {
+            errors.push({line:i+1,text:raw});
+            return;
+        }
+
+        references++;
+        const page=Number(BigInt(`0x${address}`)/size);
+        const last=pages.length-1;
+        if (collapse && last>=0 && pages[last]===page){
+            // Keep one reference, but remember if any of the merged ones wrote
+            writes[last]=writes[last] || isWrite;
+            return;
+        }
+        pages.push(page);
+        writes.push(isWrite);
+    });
+
+    return {pages,writes,errors,references};
+}
+
+/**
+ * Describes malformed lines for the user, listing the first few.
+ * @param {{line:number}[]} errors - The errors from parseTrace.
+ * @param {number} [limit=10] - How many line numbers to list.
+ * @returns {string} e.g. "3 malformed lines skipped (lines 4, 9, 12)."
+ */
+export function describeTraceErrors(errors,limit=10){
+    const lines=errors.slice(0,limit).map(e => e.line).join(', ');
+    const more=errors.length>limit?`, and ${errors.length-limit} more`:'';
+    const noun=errors.length===1?'line':'lines';
+    return `${errors.length} malformed ${noun} skipped (${noun} ${lines}${more}).`;
+}